@@ -43,7 +43,9 @@ ganache_running() {
 
 start_ganache() {
   echo "Creating $NUM_ACCOUNTS accounts"
-  node_modules/.bin/ganache-cli --gasLimit 0xfffffffffff --accounts $NUM_ACCOUNTS > /dev/null &
+  # The VestingTrustee tests deploy a new Token before each test, at about 0.6 ETH of gas each,
+  # which exhausts the default balance of 100 ETH of the owner account.
+  node_modules/.bin/ganache-cli --gasLimit 0xfffffffffff --defaultBalanceEther 10000 --accounts $NUM_ACCOUNTS > /dev/null &
 
   ganache_pid=$!
   echo "Waiting $seconds_wait sec for ganache to boot..."
@@ -69,7 +71,33 @@ if ([ $TEST_TYPE == "CoreTests" ]); then
     $truffle test --network development ./test/Token.DetailedERC20.test.js
     $truffle test --network development ./test/Token.StandardToken.test.js
     $truffle test --network development ./test/Token.test.js
+    $truffle test --network development ./test/Token.TokenSaleSchedule.test.js
+    $truffle test --network development ./test/Token.TokenSaleSupply.test.js
+    $truffle test --network development ./test/Token.MultipleTokenSales.test.js
+    $truffle test --network development ./test/Token.Burn.test.js
+    $truffle test --network development ./test/Token.Unmint.test.js
+    $truffle test --network development ./test/Token.Pause.test.js
+    $truffle test --network development ./test/Token.Roles.test.js
+    $truffle test --network development ./test/Token.TransferRestriction.test.js
+    $truffle test --network development ./test/Token.TimeLock.test.js
+    $truffle test --network development ./test/Token.LockAmount.test.js
+    $truffle test --network development ./test/Token.LockReason.test.js
+    $truffle test --network development ./test/Token.HolderCaps.test.js
+    $truffle test --network development ./test/Token.Jurisdiction.test.js
+    $truffle test --network development ./test/Token.Documents.test.js
+    $truffle test --network development ./test/Token.ComplianceRegistry.test.js
+    $truffle test --network development ./test/Token.ForceTransfer.test.js
+    $truffle test --network development ./test/Token.Snapshot.test.js
+    $truffle test --network development ./test/Token.SignedMessages.test.js
+    $truffle test --network development ./test/Token.TransferAndCall.test.js
+    $truffle test --network development ./test/Token.TransferInBatches.test.js
     $truffle test --network development ./test/ExchangeRate.test.js
+    $truffle test --network development ./test/ComplianceRegistry.test.js
+    $truffle test --network development ./test/DividendDistributor.test.js
+    $truffle test --network development ./test/Crowdsale.test.js
+    $truffle test --network development ./test/Crowdsale.Tiers.test.js
+    $truffle test --network development ./test/Recoverable.test.js
+    $truffle test --network development ./test/UpgradeabilityProxy.test.js
 fi
 
 if ([ $TEST_TYPE == "Workflow" ]); then
@@ -22,7 +22,9 @@ ganache_running() {
 
 start_ganache() {
   echo "Creating $NUM_ACCOUNTS accounts"
-  node_modules/.bin/ganache-cli --gasLimit 0xfffffffffff --accounts $NUM_ACCOUNTS > /dev/null &
+  # The VestingTrustee tests deploy a new Token before each test, at about 0.6 ETH of gas each,
+  # which exhausts the default balance of 100 ETH of the owner account.
+  node_modules/.bin/ganache-cli --gasLimit 0xfffffffffff --defaultBalanceEther 10000 --accounts $NUM_ACCOUNTS > /dev/null &
 
   ganache_pid=$!
   echo "Waiting $seconds_wait sec for ganache to boot..."
@@ -17,6 +17,18 @@ unify ../node_modules/openzeppelin-solidity/contracts/token/ERC20/ERC20Basic.sol
 unify ../node_modules/openzeppelin-solidity/contracts/token/ERC20/BasicToken.sol
 unify ../node_modules/openzeppelin-solidity/contracts/token/ERC20/ERC20.sol
 unify ../node_modules/openzeppelin-solidity/contracts/token/ERC20/StandardToken.sol
+unify ../node_modules/openzeppelin-solidity/contracts/ECRecovery.sol
+unify ../node_modules/openzeppelin-solidity/contracts/AddressUtils.sol
+unify ../truffle/contracts/ComplianceRegistryInterface.sol
+unify ../truffle/contracts/ComplianceRegistry.sol
+unify ../truffle/contracts/TokenReceiverInterface.sol
+unify ../truffle/contracts/ApprovalReceiverInterface.sol
+unify ../truffle/contracts/Recoverable.sol
+unify ../truffle/contracts/Initializable.sol
+unify ../truffle/contracts/TransferRestrictionMessages.sol
 unify ../truffle/contracts/Token.sol
 unify ../truffle/contracts/ExchangeRate.sol
-unify ../truffle/contracts/VestingTrustee.sol
\ No newline at end of file
+unify ../truffle/contracts/VestingTrustee.sol
+unify ../truffle/contracts/DividendDistributor.sol
+unify ../truffle/contracts/Crowdsale.sol
+unify ../truffle/contracts/UpgradeabilityProxy.sol
\ No newline at end of file
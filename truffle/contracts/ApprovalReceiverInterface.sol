@@ -0,0 +1,15 @@
+pragma solidity 0.4.23;
+
+/// @title  ApprovalReceiverInterface
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Interface of a contract which is notified when it is approved to spend tokens
+///         through `approveAndCall`.
+contract ApprovalReceiverInterface {
+    /// @dev Called by the token contract after the receiver has been approved to spend tokens.
+    /// @param _from The address which approved the receiver.
+    /// @param _value The number of tokens the receiver is allowed to spend.
+    /// @param _token The token contract.
+    /// @param _data Additional data to be handled by the receiver.
+    /// @return True if the approval was accepted.
+    function receiveApproval(address _from, uint256 _value, address _token, bytes _data) external returns(bool);
+}
@@ -0,0 +1,114 @@
+pragma solidity 0.4.23;
+
+import "../../node_modules/openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./ComplianceRegistryInterface.sol";
+
+/// @title  ComplianceRegistry
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Registry of KYC/AML verified investors which can be shared by several tokens.
+/// @dev    Investors are verified off-chain and registered by verifier accounts appointed by the owner.
+///         Every verification has an expiry time, after which the investor is no longer verified.
+///         All time units are in seconds since Unix epoch.
+contract ComplianceRegistry is ComplianceRegistryInterface, Ownable {
+    // Maximum size of the batch functions input arrays.
+    uint256 public constant MAX_BATCH_SIZE = 400;
+
+    // KYC/AML verification of an investor.
+    struct Investor {
+        uint256 expiry;     // Time when the verification expires.
+        bytes32 dataHash;   // Hash of the off-chain KYC/AML documentation.
+        address verifier;   // Verifier who registered the investor.
+    }
+
+    // Investor address to verification mapping.
+    mapping(address => Investor) public investors;
+
+    // Addresses allowed to register and remove investors.
+    mapping(address => bool) internal verifiers;
+
+    event VerifierAdded(address indexed addr);
+    event VerifierRemoved(address indexed addr);
+    event InvestorAdded(address indexed investor, uint256 expiry, bytes32 dataHash, address indexed verifier);
+    event InvestorRemoved(address indexed investor, address indexed verifier);
+
+    /// @dev Throws if called by any account other than a verifier.
+    modifier onlyVerifier() {
+        require(verifiers[msg.sender]);
+        _;
+    }
+
+    /// @dev Allows the owner to add a verifier.
+    /// @param _address The address of the new verifier.
+    function addVerifier(address _address) external onlyOwner {
+        require(_address != address(0));
+        require(!verifiers[_address]);
+
+        verifiers[_address] = true;
+        emit VerifierAdded(_address);
+    }
+
+    /// @dev Allows the owner to remove a verifier. Investors registered by the verifier remain verified.
+    /// @param _address The address of the verifier to remove.
+    function removeVerifier(address _address) external onlyOwner {
+        require(verifiers[_address]);
+
+        verifiers[_address] = false;
+        emit VerifierRemoved(_address);
+    }
+
+    /// @dev Checks whether or not the given address is a verifier.
+    /// @param _address The address to be checked.
+    /// @return True if the address is allowed to register and remove investors.
+    function isVerifier(address _address) external view returns(bool) {
+        return verifiers[_address];
+    }
+
+    /// @dev Registers or renews the verification of an investor. Only verifiers can register investors.
+    /// @param _investor The address of the investor.
+    /// @param _expiry The time when the verification expires.
+    /// @param _dataHash The hash of the off-chain KYC/AML documentation.
+    function addInvestor(address _investor, uint256 _expiry, bytes32 _dataHash) public onlyVerifier {
+        require(_investor != address(0));
+        require(_expiry > now);
+
+        investors[_investor] = Investor({
+            expiry: _expiry,
+            dataHash: _dataHash,
+            verifier: msg.sender
+        });
+        emit InvestorAdded(_investor, _expiry, _dataHash, msg.sender);
+    }
+
+    /// @dev Registers or renews the verification of several investors in one single call.
+    /// @param _investors The addresses of the investors.
+    /// @param _expiries The times when the verifications expire.
+    /// @param _dataHashes The hashes of the off-chain KYC/AML documentation.
+    function addInvestorsInBatches(address[] _investors, uint256[] _expiries, bytes32[] _dataHashes)
+        external onlyVerifier {
+
+        require(_investors.length > 0);
+        require(_investors.length == _expiries.length);
+        require(_investors.length == _dataHashes.length);
+        require(_investors.length <= MAX_BATCH_SIZE);
+
+        for (uint i = 0; i < _investors.length; i++) {
+            addInvestor(_investors[i], _expiries[i], _dataHashes[i]);
+        }
+    }
+
+    /// @dev Removes the verification of an investor. Only verifiers can remove investors.
+    /// @param _investor The address of the investor.
+    function removeInvestor(address _investor) external onlyVerifier {
+        require(investors[_investor].expiry != 0);
+
+        delete investors[_investor];
+        emit InvestorRemoved(_investor, msg.sender);
+    }
+
+    /// @dev Checks whether or not an address belongs to an investor with a valid KYC/AML verification.
+    /// @param _address The address to be checked.
+    /// @return True if the address is verified and the verification has not expired.
+    function isVerified(address _address) external view returns(bool) {
+        return investors[_address].expiry > now;
+    }
+}
@@ -0,0 +1,11 @@
+pragma solidity 0.4.23;
+
+/// @title  ComplianceRegistryInterface
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Interface of a KYC/AML compliance registry which can be shared by several tokens.
+contract ComplianceRegistryInterface {
+    /// @dev Checks whether or not an address belongs to an investor with a valid KYC/AML verification.
+    /// @param _address The address to be checked.
+    /// @return True if the address is verified.
+    function isVerified(address _address) external view returns(bool);
+}
@@ -0,0 +1,294 @@
+pragma solidity 0.4.23;
+
+import '../../node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol';
+import './Token.sol';
+import './ExchangeRate.sol';
+import './Recoverable.sol';
+
+/// @title  Crowdsale
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Sale of Diginex ERC20 tokens for ETH during the token sales of the token.
+/// @dev    The contract must be an assigner of the token, since purchased tokens are minted through `mint`.
+///         The number of tokens is calculated from the USD price per token and the ETH/USD rate of the
+///         exchange rate contract, and the ETH received is forwarded to a wallet, e.g. a multisig wallet.
+///         Contributions are limited per beneficiary and the ETH raised is capped per token sale.
+///         Each token sale can have a pricing schedule of tiers, e.g. for "early bird" prices or bonuses. Tiers are
+///         sorted and contiguous: a tier is active from the end of the previous one until its end time is reached
+///         or the ETH raised in the token sale reaches its limit, whichever happens first. A purchase crossing the
+///         wei limit of a tier is split, and the part above the limit is priced at the following tiers. Token
+///         sales without tiers are sold at the flat token price.
+///         ETH and tokens sent by mistake can be recovered by the owner.
+contract Crowdsale is Recoverable {
+    using SafeMath for uint256;
+
+    // Identifier of the rate in the exchange rate contract.
+    string public constant RATE_ID = "ETH/USD";
+
+    uint256 public constant MAX_TIERS = 10;     // Max. number of tiers per token sale.
+    uint256 public constant MAX_BONUS = 100;    // Max. bonus per tier, in percentage.
+
+    // ERC20 contract whose tokens are sold.
+    Token public token;
+
+    // Exchange rate contract providing the ETH/USD rate.
+    ExchangeRate public exchangeRate;
+
+    // The address the ETH received is forwarded to.
+    address public wallet;
+
+    // USD price per token, in the same units as the ETH/USD rate, e.g. in cents if the rate is in cents.
+    uint256 public tokenPrice;
+
+    uint256 public minContribution = 0; // Min. wei per purchase.
+    uint256 public maxContribution = 0; // Max. wei per beneficiary per token sale (0 = no limit).
+
+    mapping(uint256 => uint256) public weiCap;      // Max. wei raised per token sale (0 = no cap).
+    mapping(uint256 => uint256) public weiRaised;   // Wei raised per token sale.
+
+    // Wei contributed per token sale by each beneficiary.
+    mapping(uint256 => mapping(address => uint256)) public contributions;
+
+    struct Tier {
+        uint256 endTime;    // Time the tier ends (0 = no end time).
+        uint256 weiLimit;   // Wei raised in the token sale at which the tier ends (0 = no limit).
+        uint256 tokenPrice; // USD price per token, in the same units as the ETH/USD rate.
+        uint256 bonus;      // Bonus tokens, in percentage of the tokens bought.
+    }
+
+    // Pricing schedule per token sale.
+    mapping(uint256 => Tier[]) public tiers;
+
+    event TokensPurchased(address indexed purchaser, address indexed beneficiary, uint256 indexed tokenSaleId,
+        uint256 value, uint256 amount);
+    event WalletChanged(address indexed previousWallet, address indexed newWallet);
+    event TokenPriceChanged(uint256 previousPrice, uint256 newPrice);
+    event ContributionLimitsChanged(uint256 minContribution, uint256 maxContribution);
+    event WeiCapChanged(uint256 indexed tokenSaleId, uint256 cap);
+    event TiersChanged(uint256 indexed tokenSaleId, uint256 tierCount);
+
+    /// @dev Constructor that initializes the Crowdsale contract.
+    /// @param _token The address of the previously deployed ERC20 token contract.
+    /// @param _exchangeRate The address of the previously deployed exchange rate contract.
+    /// @param _wallet The address the ETH received is forwarded to.
+    /// @param _tokenPrice The USD price per token, in the same units as the ETH/USD rate.
+    constructor(Token _token, ExchangeRate _exchangeRate, address _wallet, uint256 _tokenPrice) public {
+        require(_token != address(0));
+        require(_exchangeRate != address(0));
+        require(_wallet != address(0));
+        require(_tokenPrice > 0);
+
+        token = _token;
+        exchangeRate = _exchangeRate;
+        wallet = _wallet;
+        tokenPrice = _tokenPrice;
+    }
+
+    /// @dev Fallback function which buys tokens for the sender.
+    function () external payable {
+        buyTokens(msg.sender);
+    }
+
+    /// @dev Buys tokens for a beneficiary with the ETH sent, which is forwarded to the wallet.
+    ///      It can only be called during a token sale of the token.
+    /// @param _beneficiary The address that will receive the tokens.
+    /// @return True if the operation was successful.
+    function buyTokens(address _beneficiary) public payable returns(bool) {
+        require(_beneficiary != address(0));
+        require(msg.value > 0);
+        require(msg.value >= minContribution);
+
+        uint256 tokenSaleId = token.getCurrentTokenSaleId();
+        uint256 contribution = contributions[tokenSaleId][_beneficiary].add(msg.value);
+        require(maxContribution == 0 || contribution <= maxContribution);
+
+        uint256 raised = weiRaised[tokenSaleId].add(msg.value);
+        require(weiCap[tokenSaleId] == 0 || raised <= weiCap[tokenSaleId]);
+
+        uint256 amount = getTokenAmount(tokenSaleId, msg.value);
+        require(amount > 0);
+
+        contributions[tokenSaleId][_beneficiary] = contribution;
+        weiRaised[tokenSaleId] = raised;
+        require(token.mint(_beneficiary, amount));
+
+        emit TokensPurchased(msg.sender, _beneficiary, tokenSaleId, msg.value, amount);
+        wallet.transfer(msg.value);
+        return true;
+    }
+
+    /// @dev Allows the current owner to change the wallet the ETH received is forwarded to.
+    /// @param _newWallet The address of the new wallet.
+    /// @return True if the operation was successful.
+    function setWallet(address _newWallet) external onlyOwner returns(bool) {
+        require(_newWallet != address(0));
+
+        emit WalletChanged(wallet, _newWallet);
+        wallet = _newWallet;
+        return true;
+    }
+
+    /// @dev Allows the current owner to change the USD price per token.
+    /// @param _tokenPrice The USD price per token, in the same units as the ETH/USD rate.
+    /// @return True if the operation was successful.
+    function setTokenPrice(uint256 _tokenPrice) external onlyOwner returns(bool) {
+        require(_tokenPrice > 0);
+
+        emit TokenPriceChanged(tokenPrice, _tokenPrice);
+        tokenPrice = _tokenPrice;
+        return true;
+    }
+
+    /// @dev Allows the current owner to set the contribution limits.
+    /// @param _minContribution The min. wei per purchase.
+    /// @param _maxContribution The max. wei per beneficiary per token sale, or 0 for no limit.
+    /// @return True if the operation was successful.
+    function setContributionLimits(uint256 _minContribution, uint256 _maxContribution)
+        external onlyOwner returns(bool) {
+
+        require(_maxContribution == 0 || _maxContribution >= _minContribution);
+
+        minContribution = _minContribution;
+        maxContribution = _maxContribution;
+        emit ContributionLimitsChanged(_minContribution, _maxContribution);
+        return true;
+    }
+
+    /// @dev Allows the current owner to cap the wei raised in a token sale. The cap cannot be set below the wei
+    ///      already raised in the token sale.
+    /// @param _tokenSaleId The id of the token sale.
+    /// @param _cap The max. wei raised in the token sale, or 0 for no cap.
+    /// @return True if the operation was successful.
+    function setWeiCap(uint256 _tokenSaleId, uint256 _cap) external onlyOwner returns(bool) {
+        require(_cap == 0 || _cap >= weiRaised[_tokenSaleId]);
+
+        weiCap[_tokenSaleId] = _cap;
+        emit WeiCapChanged(_tokenSaleId, _cap);
+        return true;
+    }
+
+    /// @dev Allows the current owner to set the pricing schedule of a token sale, replacing the previous one.
+    ///      Tiers must be sorted: neither the end time nor the wei limit of a tier can be lower than those of the
+    ///      previous tier, and at least one of them must be higher, since otherwise the tier would never be active.
+    ///      Empty arrays remove the schedule, so the flat token price applies.
+    /// @param _tokenSaleId The id of the token sale.
+    /// @param _endTimes The time each tier ends, or 0 for no end time.
+    /// @param _weiLimits The wei raised in the token sale at which each tier ends, or 0 for no limit.
+    /// @param _tokenPrices The USD price per token of each tier, in the same units as the ETH/USD rate.
+    /// @param _bonuses The bonus of each tier, in percentage of the tokens bought.
+    /// @return True if the operation was successful.
+    function setTiers(uint256 _tokenSaleId, uint256[] _endTimes, uint256[] _weiLimits, uint256[] _tokenPrices,
+        uint256[] _bonuses) external onlyOwner returns(bool) {
+
+        require(_endTimes.length <= MAX_TIERS);
+        require(_endTimes.length == _weiLimits.length);
+        require(_endTimes.length == _tokenPrices.length);
+        require(_endTimes.length == _bonuses.length);
+
+        delete tiers[_tokenSaleId];
+        for (uint256 i = 0; i < _endTimes.length; i++) {
+            require(_tokenPrices[i] > 0);
+            require(_bonuses[i] <= MAX_BONUS);
+            if (i > 0) {
+                requireSortedTiers(_endTimes[i - 1], _weiLimits[i - 1], _endTimes[i], _weiLimits[i]);
+            }
+            tiers[_tokenSaleId].push(Tier(_endTimes[i], _weiLimits[i], _tokenPrices[i], _bonuses[i]));
+        }
+
+        emit TiersChanged(_tokenSaleId, _endTimes.length);
+        return true;
+    }
+
+    /// @dev Returns the number of tiers of the pricing schedule of a token sale.
+    /// @param _tokenSaleId The id of the token sale.
+    /// @return The number of tiers.
+    function getTierCount(uint256 _tokenSaleId) external view returns(uint256) {
+        return tiers[_tokenSaleId].length;
+    }
+
+    /// @dev Returns the tier of a token sale which is active at the current time and wei raised. If the token
+    ///      sale has no tiers, the flat token price without bonus is returned as active.
+    /// @param _tokenSaleId The id of the token sale.
+    /// @return Whether there is an active tier, its index, USD price per token and bonus in percentage.
+    function getActiveTier(uint256 _tokenSaleId) public view returns(bool, uint256, uint256, uint256) {
+        Tier[] storage schedule = tiers[_tokenSaleId];
+        if (schedule.length == 0) {
+            return (true, 0, tokenPrice, 0);
+        }
+
+        for (uint256 i = 0; i < schedule.length; i++) {
+            if (now < noLimitAsMax(schedule[i].endTime) &&
+                weiRaised[_tokenSaleId] < noLimitAsMax(schedule[i].weiLimit)) {
+                return (true, i, schedule[i].tokenPrice, schedule[i].bonus);
+            }
+        }
+        return (false, 0, 0, 0);
+    }
+
+    /// @dev Returns the number of tokens bought in a token sale with a given amount of wei at the current ETH/USD
+    ///      rate, including the bonus. The amount is priced at the active tier up to its wei limit, and the rest
+    ///      at the following tiers. Reverts if the tiers cannot take the whole amount.
+    /// @param _tokenSaleId The id of the token sale.
+    /// @param _weiAmount The amount of wei.
+    /// @return The number of tokens, in the smallest token unit.
+    function getTokenAmount(uint256 _tokenSaleId, uint256 _weiAmount) public view returns(uint256) {
+        uint256 rate = exchangeRate.getRate(RATE_ID);
+        require(rate > 0);
+
+        Tier[] storage schedule = tiers[_tokenSaleId];
+        if (schedule.length == 0) {
+            return tokensAtPrice(_weiAmount, rate, tokenPrice, 0);
+        }
+
+        uint256 raised = weiRaised[_tokenSaleId];
+        uint256 remaining = _weiAmount;
+        uint256 amount = 0;
+        for (uint256 i = 0; i < schedule.length && remaining > 0; i++) {
+            uint256 weiLimit = noLimitAsMax(schedule[i].weiLimit);
+            if (now < noLimitAsMax(schedule[i].endTime) && raised < weiLimit) {
+                uint256 tierWei = remaining < weiLimit.sub(raised) ? remaining : weiLimit.sub(raised);
+                amount = amount.add(tokensAtPrice(tierWei, rate, schedule[i].tokenPrice, schedule[i].bonus));
+                raised = raised.add(tierWei);
+                remaining = remaining.sub(tierWei);
+            }
+        }
+        require(remaining == 0);
+        return amount;
+    }
+
+    /// @dev Returns the number of tokens bought with a given amount of wei at a given price and bonus.
+    /// @param _weiAmount The amount of wei.
+    /// @param _rate The ETH/USD rate.
+    /// @param _tokenPrice The USD price per token, in the same units as the ETH/USD rate.
+    /// @param _bonus The bonus, in percentage of the tokens bought.
+    /// @return The number of tokens, in the smallest token unit.
+    function tokensAtPrice(uint256 _weiAmount, uint256 _rate, uint256 _tokenPrice, uint256 _bonus)
+        internal view returns(uint256) {
+
+        // tokens = ETH * (USD / ETH) / (USD / token), converting wei to ETH and tokens to their smallest unit.
+        uint256 amount = _weiAmount.mul(_rate).mul(token.TOKEN_UNIT()).div(_tokenPrice.mul(1 ether));
+        return amount.add(amount.mul(_bonus).div(100));
+    }
+
+    /// @dev Requires a tier to end after the previous tier, so tiers are sorted and do not overlap.
+    /// @param _previousEndTime The end time of the previous tier, or 0 for no end time.
+    /// @param _previousWeiLimit The wei limit of the previous tier, or 0 for no limit.
+    /// @param _endTime The end time of the tier, or 0 for no end time.
+    /// @param _weiLimit The wei limit of the tier, or 0 for no limit.
+    function requireSortedTiers(uint256 _previousEndTime, uint256 _previousWeiLimit, uint256 _endTime,
+        uint256 _weiLimit) internal pure {
+
+        uint256 previousEndTime = noLimitAsMax(_previousEndTime);
+        uint256 previousWeiLimit = noLimitAsMax(_previousWeiLimit);
+        uint256 endTime = noLimitAsMax(_endTime);
+        uint256 weiLimit = noLimitAsMax(_weiLimit);
+        require(endTime >= previousEndTime && weiLimit >= previousWeiLimit);
+        require(endTime > previousEndTime || weiLimit > previousWeiLimit);
+    }
+
+    /// @dev Maps 0, meaning no limit, to the max. value, so limits can be compared.
+    /// @param _limit The limit.
+    /// @return The limit, or the max. value if it is 0.
+    function noLimitAsMax(uint256 _limit) internal pure returns(uint256) {
+        return _limit == 0 ? uint256(-1) : _limit;
+    }
+}
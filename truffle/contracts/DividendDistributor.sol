@@ -0,0 +1,205 @@
+pragma solidity 0.4.23;
+
+import '../../node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol';
+import '../../node_modules/openzeppelin-solidity/contracts/ownership/Ownable.sol';
+import '../../node_modules/openzeppelin-solidity/contracts/token/ERC20/ERC20.sol';
+import './Token.sol';
+
+/// @title  DividendDistributor
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Pro-rata distribution of ETH or ERC20 dividends to the holders of Diginex ERC20 tokens.
+/// @dev    Dividends are deposited by the owner against a snapshot of the token balances, so that each
+///         holder's share is proportional to its balance when the snapshot was taken.
+///         Claiming the share of a locked address moves it to escrow, where it is kept until the address is
+///         unlocked, even after the dividend expires, and then paid by claiming it again.
+///         Unclaimed dividends can be reclaimed by the owner after their expiry time, except the escrowed shares.
+///         All time units are in seconds since Unix epoch.
+contract DividendDistributor is Ownable {
+    using SafeMath for uint256;
+
+    // ERC20 contract whose holders receive the dividends.
+    Token public token;
+
+    // Dividend paid in ETH or in an ERC20 token.
+    struct Dividend {
+        ERC20 payoutToken;      // 0x0 for ETH dividends.
+        uint256 amount;
+        uint256 claimedAmount;  // Including the escrowed shares.
+        uint256 snapshotId;
+        uint256 totalSupply;    // Token total supply at the snapshot.
+        uint256 expiry;
+        bool reclaimed;
+    }
+
+    // All deposited dividends, identified by their position in the array.
+    Dividend[] public dividends;
+
+    // Whether or not a holder already claimed a dividend.
+    mapping(uint256 => mapping(address => bool)) public claimed;
+
+    // Shares claimed while the holder was locked, kept until the holder is unlocked.
+    mapping(uint256 => mapping(address => uint256)) public escrowed;
+
+    event DividendDeposited(uint256 indexed dividendId, address indexed payoutToken, uint256 amount,
+        uint256 snapshotId, uint256 expiry);
+    event DividendClaimed(uint256 indexed dividendId, address indexed holder, uint256 amount);
+    event DividendEscrowed(uint256 indexed dividendId, address indexed holder, uint256 amount);
+    event DividendReclaimed(uint256 indexed dividendId, uint256 amount);
+
+    /// @dev Constructor that initializes the DividendDistributor contract.
+    /// @param _token The address of the previously deployed ERC20 token contract.
+    constructor(Token _token) public {
+        require(_token != address(0));
+
+        token = _token;
+    }
+
+    /// @dev Deposits an ETH dividend to be distributed among the token holders at a given snapshot.
+    /// @param _snapshotId The id of the token snapshot used to calculate the shares.
+    /// @param _expiry The time after which the unclaimed dividend can be reclaimed.
+    /// @return The id of the dividend.
+    function depositEtherDividend(uint256 _snapshotId, uint256 _expiry) external payable onlyOwner returns(uint256) {
+        return addDividend(ERC20(address(0)), msg.value, _snapshotId, _expiry);
+    }
+
+    /// @dev Deposits an ERC20 dividend to be distributed among the token holders at a given snapshot.
+    ///      The dividend tokens must have been approved to this contract beforehand.
+    /// @param _payoutToken The ERC20 token the dividend is paid in.
+    /// @param _amount The number of tokens to be distributed.
+    /// @param _snapshotId The id of the token snapshot used to calculate the shares.
+    /// @param _expiry The time after which the unclaimed dividend can be reclaimed.
+    /// @return The id of the dividend.
+    function depositERC20Dividend(ERC20 _payoutToken, uint256 _amount, uint256 _snapshotId, uint256 _expiry)
+        external onlyOwner returns(uint256) {
+
+        require(_payoutToken != address(0));
+        require(_payoutToken.transferFrom(msg.sender, address(this), _amount));
+
+        return addDividend(_payoutToken, _amount, _snapshotId, _expiry);
+    }
+
+    /// @dev Claims the caller's share of a dividend. The share of a locked caller is escrowed instead, and paid
+    ///      when claimed again once unlocked.
+    /// @param _dividendId The id of the dividend.
+    function claimDividend(uint256 _dividendId) external {
+        payDividend(_dividendId, msg.sender);
+    }
+
+    /// @dev Claims the share of a dividend on behalf of a holder. The share is paid to the holder, or escrowed if
+    ///      the holder is locked.
+    /// @param _dividendId The id of the dividend.
+    /// @param _holder The address of the holder.
+    function claimDividendFor(uint256 _dividendId, address _holder) external {
+        payDividend(_dividendId, _holder);
+    }
+
+    /// @dev Reclaims the unclaimed part of a dividend after its expiry. Only the owner can reclaim dividends.
+    ///      No more shares of the dividend can be claimed afterwards, but escrowed shares are not reclaimed and
+    ///      can still be paid to their holders once unlocked.
+    /// @param _dividendId The id of the dividend.
+    function reclaimDividend(uint256 _dividendId) external onlyOwner {
+        require(_dividendId < dividends.length);
+        Dividend storage dividend = dividends[_dividendId];
+
+        require(now >= dividend.expiry);
+        require(!dividend.reclaimed);
+
+        uint256 unclaimed = dividend.amount.sub(dividend.claimedAmount);
+        dividend.reclaimed = true;
+        dividend.claimedAmount = dividend.amount;
+        sendPayout(dividend.payoutToken, owner, unclaimed);
+
+        emit DividendReclaimed(_dividendId, unclaimed);
+    }
+
+    /// @dev Calculates the share of a dividend a holder is entitled to.
+    /// @param _dividendId The id of the dividend.
+    /// @param _holder The address of the holder.
+    /// @return The share of the holder, 0 if it has already been claimed or the dividend has been reclaimed.
+    function dividendShare(uint256 _dividendId, address _holder) public view returns(uint256) {
+        require(_dividendId < dividends.length);
+        Dividend storage dividend = dividends[_dividendId];
+
+        if (claimed[_dividendId][_holder] || dividend.reclaimed || dividend.totalSupply == 0) {
+            return 0;
+        }
+        return dividend.amount.mul(token.balanceOfAt(_holder, dividend.snapshotId)).div(dividend.totalSupply);
+    }
+
+    /// @dev Returns the number of dividends deposited.
+    /// @return The number of dividends.
+    function getDividendsCount() external view returns(uint256) {
+        return dividends.length;
+    }
+
+    /// @dev Registers a new dividend.
+    /// @param _payoutToken The ERC20 token the dividend is paid in, 0x0 for ETH.
+    /// @param _amount The amount to be distributed.
+    /// @param _snapshotId The id of the token snapshot used to calculate the shares.
+    /// @param _expiry The time after which the unclaimed dividend can be reclaimed.
+    /// @return The id of the dividend.
+    function addDividend(ERC20 _payoutToken, uint256 _amount, uint256 _snapshotId, uint256 _expiry)
+        internal returns(uint256) {
+
+        require(_amount > 0);
+        require(_expiry > now);
+
+        // Reverts if the snapshot has not been taken yet.
+        uint256 totalSupply = token.totalSupplyAt(_snapshotId);
+        require(totalSupply > 0);
+
+        uint256 dividendId = dividends.push(Dividend({
+            payoutToken: _payoutToken,
+            amount: _amount,
+            claimedAmount: 0,
+            snapshotId: _snapshotId,
+            totalSupply: totalSupply,
+            expiry: _expiry,
+            reclaimed: false
+        })).sub(1);
+
+        emit DividendDeposited(dividendId, _payoutToken, _amount, _snapshotId, _expiry);
+        return dividendId;
+    }
+
+    /// @dev Pays the share of a dividend to a holder. The share of a locked holder is escrowed instead, and its
+    ///      escrowed share is paid once the holder is unlocked.
+    /// @param _dividendId The id of the dividend.
+    /// @param _holder The address of the holder.
+    function payDividend(uint256 _dividendId, address _holder) internal {
+        uint256 share = escrowed[_dividendId][_holder];
+        if (share > 0) {
+            require(!token.isLocked(_holder));
+
+            escrowed[_dividendId][_holder] = 0;
+        } else {
+            share = dividendShare(_dividendId, _holder);
+            require(share > 0);
+
+            Dividend storage dividend = dividends[_dividendId];
+            claimed[_dividendId][_holder] = true;
+            dividend.claimedAmount = dividend.claimedAmount.add(share);
+
+            if (token.isLocked(_holder)) {
+                escrowed[_dividendId][_holder] = share;
+                emit DividendEscrowed(_dividendId, _holder, share);
+                return;
+            }
+        }
+
+        sendPayout(dividends[_dividendId].payoutToken, _holder, share);
+        emit DividendClaimed(_dividendId, _holder, share);
+    }
+
+    /// @dev Sends ETH or ERC20 tokens to an address.
+    /// @param _payoutToken The ERC20 token to send, 0x0 for ETH.
+    /// @param _to The address to send the payout to.
+    /// @param _amount The amount to send.
+    function sendPayout(ERC20 _payoutToken, address _to, uint256 _amount) internal {
+        if (_payoutToken == address(0)) {
+            _to.transfer(_amount);
+        } else {
+            require(_payoutToken.transfer(_to, _amount));
+        }
+    }
+}
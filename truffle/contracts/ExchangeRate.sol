@@ -1,13 +1,14 @@
 pragma solidity 0.4.23;
 
-import "../../node_modules/openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./Recoverable.sol";
 
 /// @title  ExchangeRate
 /// @author Jose Perez - <jose.perez@diginex.com>
 /// @notice Tamper-proof record of exchange rates e.g. BTC/USD, ETC/USD, etc.
 /// @dev    Exchange rates are updated from off-chain server periodically. Rates are taken from a
 //          publicly available third-party provider, such as Coinbase, CoinMarketCap, etc.
-contract ExchangeRate is Ownable {
+///         ETH and tokens sent by mistake can be recovered by the owner.
+contract ExchangeRate is Recoverable {
     event RateUpdated(string id, uint256 rate);
     event UpdaterTransferred(address indexed previousUpdater, address indexed newUpdater);
 
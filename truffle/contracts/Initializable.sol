@@ -0,0 +1,18 @@
+pragma solidity 0.4.23;
+
+/// @title  Initializable
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Allows contracts deployed behind an upgradeable proxy, whose constructor is never run in the proxy's
+///         storage, to be initialized once through an initializer function instead.
+/// @dev    Contracts deployed directly should call their initializer from the constructor.
+contract Initializable {
+    bool public initialized = false; // If true, the contract has already been initialized.
+
+    /// @dev Prevents a function from being called more than once.
+    modifier initializer() {
+        require(!initialized);
+
+        initialized = true;
+        _;
+    }
+}
@@ -0,0 +1,48 @@
+pragma solidity 0.4.23;
+
+import "../../node_modules/openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "../../node_modules/openzeppelin-solidity/contracts/token/ERC20/ERC20Basic.sol";
+
+/// @title  Recoverable
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Allows the owner to recover ETH and ERC20 tokens sent to the contract by mistake.
+/// @dev    Contracts holding tokens on purpose must override `recoverableTokens` to protect them.
+contract Recoverable is Ownable {
+    event EtherRecovered(address indexed to, uint256 value);
+    event TokensRecovered(address indexed token, address indexed to, uint256 value);
+
+    /// @dev Allows the current owner to recover all the ETH held by the contract.
+    /// @param _to The address to send the ETH to.
+    /// @return True if the operation was successful.
+    function recoverEther(address _to) external onlyOwner returns(bool) {
+        require(_to != address(0));
+
+        uint256 value = address(this).balance;
+        require(value > 0);
+
+        _to.transfer(value);
+        emit EtherRecovered(_to, value);
+        return true;
+    }
+
+    /// @dev Allows the current owner to recover ERC20 tokens held by the contract.
+    /// @param _token The ERC20 token contract.
+    /// @param _to The address to send the tokens to.
+    /// @param _value The number of tokens to be recovered.
+    /// @return True if the operation was successful.
+    function recoverTokens(ERC20Basic _token, address _to, uint256 _value) external onlyOwner returns(bool) {
+        require(_to != address(0));
+        require(_value <= recoverableTokens(_token));
+
+        require(_token.transfer(_to, _value));
+        emit TokensRecovered(_token, _to, _value);
+        return true;
+    }
+
+    /// @dev Returns the number of tokens of an ERC20 token contract which can be recovered.
+    /// @param _token The ERC20 token contract.
+    /// @return The number of tokens held by the contract which can be recovered.
+    function recoverableTokens(ERC20Basic _token) public view returns(uint256) {
+        return _token.balanceOf(address(this));
+    }
+}
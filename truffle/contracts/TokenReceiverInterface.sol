@@ -0,0 +1,14 @@
+pragma solidity 0.4.23;
+
+/// @title  TokenReceiverInterface
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice ERC-677 style interface of a contract which is notified when tokens are transferred to it
+///         through `transferAndCall`.
+contract TokenReceiverInterface {
+    /// @dev Called by the token contract after tokens have been transferred to the receiver.
+    /// @param _from The address which transferred the tokens.
+    /// @param _value The number of tokens transferred.
+    /// @param _data Additional data to be handled by the receiver.
+    /// @return True if the tokens were accepted.
+    function onTokenTransfer(address _from, uint256 _value, bytes _data) external returns(bool);
+}
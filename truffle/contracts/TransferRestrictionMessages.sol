@@ -0,0 +1,73 @@
+pragma solidity 0.4.23;
+
+/// @title  TransferRestrictionMessages
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Human-readable messages of the ERC-1404 transfer restriction codes of `Token`.
+/// @dev    Deployed once and linked to `Token`, which keeps the message strings out of the token bytecode.
+///         The codes must be the same as in `Token`.
+library TransferRestrictionMessages {
+    // ERC-1404 transfer restriction codes.
+    uint8 internal constant SUCCESS_CODE = 0;
+    uint8 internal constant TOKEN_PAUSED_CODE = 1;
+    uint8 internal constant SENDER_LOCKED_CODE = 2;
+    uint8 internal constant SPENDER_LOCKED_CODE = 3;
+    uint8 internal constant SENDER_IN_TOKEN_SALE_CODE = 4;
+    uint8 internal constant SPENDER_IN_TOKEN_SALE_CODE = 5;
+    uint8 internal constant RECIPIENT_IN_TOKEN_SALE_CODE = 6;
+    uint8 internal constant SENDER_NOT_VERIFIED_CODE = 7;
+    uint8 internal constant RECIPIENT_NOT_VERIFIED_CODE = 8;
+    uint8 internal constant RECIPIENT_MAX_BALANCE_CODE = 9;
+    uint8 internal constant MAX_HOLDERS_CODE = 10;
+    uint8 internal constant SENDER_JURISDICTION_BLOCKED_CODE = 11;
+    uint8 internal constant RECIPIENT_JURISDICTION_BLOCKED_CODE = 12;
+
+    // ERC-1404 transfer restriction messages.
+    string internal constant SUCCESS_MESSAGE = "No restriction";
+    string internal constant TOKEN_PAUSED_MESSAGE = "Token transfers are paused";
+    string internal constant SENDER_LOCKED_MESSAGE = "Sender locked for KYC/AML compliance";
+    string internal constant SPENDER_LOCKED_MESSAGE = "Spender locked for KYC/AML compliance";
+    string internal constant SENDER_IN_TOKEN_SALE_MESSAGE = "Sender participating in ongoing token sale";
+    string internal constant SPENDER_IN_TOKEN_SALE_MESSAGE = "Spender participating in ongoing token sale";
+    string internal constant RECIPIENT_IN_TOKEN_SALE_MESSAGE = "Recipient participating in ongoing token sale";
+    string internal constant SENDER_NOT_VERIFIED_MESSAGE = "Sender not verified in compliance registry";
+    string internal constant RECIPIENT_NOT_VERIFIED_MESSAGE = "Recipient not verified in compliance registry";
+    string internal constant RECIPIENT_MAX_BALANCE_MESSAGE = "Recipient balance would exceed maximum balance";
+    string internal constant MAX_HOLDERS_MESSAGE = "Maximum number of token holders reached";
+    string internal constant SENDER_JURISDICTION_BLOCKED_MESSAGE = "Sender jurisdiction blocked";
+    string internal constant RECIPIENT_JURISDICTION_BLOCKED_MESSAGE = "Recipient jurisdiction blocked";
+    string internal constant UNKNOWN_RESTRICTION_MESSAGE = "Unknown restriction code";
+
+    /// @dev Returns a human-readable message for a given restriction code.
+    /// @param _restrictionCode The restriction code returned by `Token.detectTransferRestriction`.
+    /// @return The message explaining the restriction.
+    function message(uint8 _restrictionCode) public pure returns(string) {
+        if (_restrictionCode == SUCCESS_CODE) {
+            return SUCCESS_MESSAGE;
+        } else if (_restrictionCode == TOKEN_PAUSED_CODE) {
+            return TOKEN_PAUSED_MESSAGE;
+        } else if (_restrictionCode == SENDER_LOCKED_CODE) {
+            return SENDER_LOCKED_MESSAGE;
+        } else if (_restrictionCode == SPENDER_LOCKED_CODE) {
+            return SPENDER_LOCKED_MESSAGE;
+        } else if (_restrictionCode == SENDER_IN_TOKEN_SALE_CODE) {
+            return SENDER_IN_TOKEN_SALE_MESSAGE;
+        } else if (_restrictionCode == SPENDER_IN_TOKEN_SALE_CODE) {
+            return SPENDER_IN_TOKEN_SALE_MESSAGE;
+        } else if (_restrictionCode == RECIPIENT_IN_TOKEN_SALE_CODE) {
+            return RECIPIENT_IN_TOKEN_SALE_MESSAGE;
+        } else if (_restrictionCode == SENDER_NOT_VERIFIED_CODE) {
+            return SENDER_NOT_VERIFIED_MESSAGE;
+        } else if (_restrictionCode == RECIPIENT_NOT_VERIFIED_CODE) {
+            return RECIPIENT_NOT_VERIFIED_MESSAGE;
+        } else if (_restrictionCode == RECIPIENT_MAX_BALANCE_CODE) {
+            return RECIPIENT_MAX_BALANCE_MESSAGE;
+        } else if (_restrictionCode == MAX_HOLDERS_CODE) {
+            return MAX_HOLDERS_MESSAGE;
+        } else if (_restrictionCode == SENDER_JURISDICTION_BLOCKED_CODE) {
+            return SENDER_JURISDICTION_BLOCKED_MESSAGE;
+        } else if (_restrictionCode == RECIPIENT_JURISDICTION_BLOCKED_CODE) {
+            return RECIPIENT_JURISDICTION_BLOCKED_MESSAGE;
+        }
+        return UNKNOWN_RESTRICTION_MESSAGE;
+    }
+}
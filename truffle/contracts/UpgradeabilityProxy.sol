@@ -0,0 +1,123 @@
+pragma solidity 0.4.23;
+
+import "../../node_modules/openzeppelin-solidity/contracts/AddressUtils.sol";
+
+/// @title  UpgradeabilityProxy
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Proxy which delegates every call to an implementation contract, e.g. `Token` or `VestingTrustee`,
+///         keeping the state in its own storage, so that the implementation can be upgraded without
+///         migrating the balances. Only the admin, which can be the owner or a multisig wallet, can upgrade it.
+/// @dev    The implementation and the admin are kept in pseudo-random storage slots so that they do not collide
+///         with the storage of the implementation. New implementations must only append state variables and
+///         must not declare functions with the same name as the functions of the proxy.
+contract UpgradeabilityProxy {
+    // Storage slots of the implementation and the admin addresses.
+    bytes32 private constant IMPLEMENTATION_SLOT = keccak256("org.diginex.proxy.implementation");
+    bytes32 private constant ADMIN_SLOT = keccak256("org.diginex.proxy.admin");
+
+    event Upgraded(address indexed implementation);
+    event ProxyAdminChanged(address indexed previousAdmin, address indexed newAdmin);
+
+    /// @dev Constructor that sets the admin and the implementation and initializes the proxy's storage.
+    ///      The initialization data is required, since otherwise anyone could initialize the proxy first and
+    ///      appoint itself as owner.
+    /// @param _admin The address allowed to upgrade the proxy.
+    /// @param _implementation The address of the implementation contract.
+    /// @param _data The encoded call to the initializer of the implementation.
+    constructor(address _admin, address _implementation, bytes _data) public {
+        require(_admin != address(0));
+        require(_data.length > 0);
+
+        setAdmin(_admin);
+        setImplementation(_implementation);
+        require(_implementation.delegatecall(_data));
+    }
+
+    /// @dev Prevents being called by any account other than the admin.
+    modifier onlyProxyAdmin() {
+        require(msg.sender == proxyAdmin());
+        _;
+    }
+
+    /// @dev Fallback function which delegates the call to the implementation, returning its result.
+    function () external payable {
+        address implementation = proxyImplementation();
+        assembly {
+            calldatacopy(0, 0, calldatasize)
+            let result := delegatecall(gas, implementation, 0, calldatasize, 0, 0)
+            returndatacopy(0, 0, returndatasize)
+            switch result
+            case 0 { revert(0, returndatasize) }
+            default { return(0, returndatasize) }
+        }
+    }
+
+    /// @dev Allows the admin to upgrade the implementation, keeping the proxy's storage.
+    /// @param _implementation The address of the new implementation contract.
+    /// @return True if the operation was successful.
+    function upgradeTo(address _implementation) external onlyProxyAdmin returns(bool) {
+        setImplementation(_implementation);
+        return true;
+    }
+
+    /// @dev Allows the admin to upgrade the implementation and call a function of the new implementation in one
+    ///      single transaction, e.g. to initialize the state variables added to it.
+    /// @param _implementation The address of the new implementation contract.
+    /// @param _data The encoded call to the new implementation.
+    /// @return True if the operation was successful.
+    function upgradeToAndCall(address _implementation, bytes _data) external onlyProxyAdmin returns(bool) {
+        setImplementation(_implementation);
+        require(_implementation.delegatecall(_data));
+        return true;
+    }
+
+    /// @dev Allows the admin to transfer the right to upgrade the proxy, e.g. to a multisig wallet.
+    /// @param _newAdmin The address of the new admin.
+    /// @return True if the operation was successful.
+    function changeProxyAdmin(address _newAdmin) external onlyProxyAdmin returns(bool) {
+        require(_newAdmin != address(0));
+
+        emit ProxyAdminChanged(proxyAdmin(), _newAdmin);
+        setAdmin(_newAdmin);
+        return true;
+    }
+
+    /// @dev Returns the address allowed to upgrade the proxy.
+    /// @return The address of the admin.
+    function proxyAdmin() public view returns(address admin) {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            admin := sload(slot)
+        }
+    }
+
+    /// @dev Returns the address of the current implementation.
+    /// @return The address of the implementation contract.
+    function proxyImplementation() public view returns(address implementation) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            implementation := sload(slot)
+        }
+    }
+
+    /// @dev Stores the address of the admin.
+    /// @param _admin The address of the admin.
+    function setAdmin(address _admin) private {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            sstore(slot, _admin)
+        }
+    }
+
+    /// @dev Stores the address of the implementation, which must be a contract.
+    /// @param _implementation The address of the implementation contract.
+    function setImplementation(address _implementation) private {
+        require(AddressUtils.isContract(_implementation));
+
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _implementation)
+        }
+        emit Upgraded(_implementation);
+    }
+}
@@ -1,16 +1,23 @@
 pragma solidity 0.4.23;
 
 import '../../node_modules/openzeppelin-solidity/contracts/math/SafeMath.sol';
-import '../../node_modules/openzeppelin-solidity/contracts/ownership/Ownable.sol';
 import './Token.sol';
+import './TokenReceiverInterface.sol';
+import './ApprovalReceiverInterface.sol';
+import './Recoverable.sol';
+import './Initializable.sol';
 
 /// @title  VestingTrustee
 /// @author Jose Perez - <jose.perez@diginex.com>
 /// @notice Vesting trustee contract for Diginex ERC20 tokens. Tokens are granted to specific
 ///         addresses and vested under certain criteria (vesting period, cliff period, etc.)
 //          All time units are in seconds since Unix epoch.
-///         Tokens must be transferred to the VestingTrustee contract address prior to granting them.
-contract VestingTrustee is Ownable {
+///         Tokens must be transferred to the VestingTrustee contract address prior to granting them,
+///         unless the vester funds and creates a grant in one single transaction through the token's
+///         `transferAndCall` or `approveAndCall` functions.
+///         ETH and tokens sent by mistake can be recovered by the owner, except for the tokens being vested.
+///         The contract can be deployed directly or behind an `UpgradeabilityProxy`, initialized through `initialize`.
+contract VestingTrustee is Recoverable, Initializable, TokenReceiverInterface, ApprovalReceiverInterface {
     using SafeMath for uint256;
 
     // ERC20 contract.
@@ -36,20 +43,35 @@ contract VestingTrustee is Ownable {
     // Total tokens available for vesting.
     uint256 public totalVesting;
 
+    // Length of the grant parameters encoded in the data of `onTokenTransfer` and `receiveApproval`:
+    // holder address, start, cliff, end, installment length and revocable flag, 32 bytes each.
+    uint256 public constant GRANT_DATA_LENGTH = 6 * 32;
+
     event NewGrant(address indexed _from, address indexed _to, uint256 _value);
     event TokensUnlocked(address indexed _to, uint256 _value);
     event GrantRevoked(address indexed _holder, uint256 _refund);
     event VesterTransferred(address indexed previousVester, address indexed newVester);
 
-    /// @dev Constructor that initializes the VestingTrustee contract.
+    /// @dev Constructor that initializes the VestingTrustee contract, with the sender as owner.
     /// @param _token The address of the previously deployed ERC20 token contract.
     /// @param _vester The vester address.
     constructor(Token _token, address _vester) public {
+        initialize(msg.sender, _token, _vester);
+    }
+
+    /// @dev Initializes the VestingTrustee contract. It is called by the constructor, or through the proxy when
+    ///      the contract is deployed behind an `UpgradeabilityProxy`, and it can only be called once.
+    /// @param _owner The owner address.
+    /// @param _token The address of the previously deployed ERC20 token contract.
+    /// @param _vester The vester address.
+    function initialize(address _owner, Token _token, address _vester) public initializer {
         require(_token != address(0));
         require(_vester != address(0));
+        require(_owner != address(0));
 
         token = _token;
         vester = _vester;
+        owner = _owner;
     }
 
     // @dev Prevents being called by any account other than the vester.
@@ -85,6 +107,54 @@ contract VestingTrustee is Ownable {
         uint256 _installmentLength, bool _revocable)
         external onlyVester {
 
+        createGrant(_to, _value, _start, _cliff, _end, _installmentLength, _revocable);
+    }
+
+    /// @dev ERC-677 hook called by the token after tokens have been transferred to this contract through
+    ///      `transferAndCall`. If the transfer comes from the vester and carries data, a grant of the
+    ///      transferred tokens is created with the parameters ABI-encoded in the data (see `GRANT_DATA_LENGTH`).
+    ///      Otherwise the tokens are just made available for vesting.
+    /// @param _from address The address which transferred the tokens.
+    /// @param _value uint256 The number of tokens transferred.
+    /// @param _data bytes The encoded grant parameters, if any.
+    /// @return True if the tokens were accepted.
+    function onTokenTransfer(address _from, uint256 _value, bytes _data) external returns(bool) {
+        require(msg.sender == address(token));
+
+        grantFromData(_from, _value, _data);
+        return true;
+    }
+
+    /// @dev Hook called by the token after the vester has approved this contract through `approveAndCall`.
+    ///      The approved tokens are transferred to this contract and a grant of them is created with the
+    ///      parameters ABI-encoded in the data (see `GRANT_DATA_LENGTH`).
+    /// @param _from address The address which approved this contract.
+    /// @param _value uint256 The number of tokens approved.
+    /// @param _token address The token contract.
+    /// @param _data bytes The encoded grant parameters.
+    /// @return True if the approval was accepted.
+    function receiveApproval(address _from, uint256 _value, address _token, bytes _data) external returns(bool) {
+        require(msg.sender == address(token));
+        require(_token == address(token));
+        require(_from == vester);
+
+        require(token.transferFrom(_from, address(this), _value));
+        grantFromData(_from, _value, _data);
+        return true;
+    }
+
+    /// @dev Creates a grant of tokens already held by this contract for a specified address.
+    /// @param _to address The holder address.
+    /// @param _value uint256 The amount of tokens to be granted.
+    /// @param _start uint256 The beginning of the vesting period.
+    /// @param _cliff uint256 Time, between _start and _end, when the first installment is made.
+    /// @param _end uint256 The end of the vesting period.
+    /// @param _installmentLength uint256 The length of each vesting installment.
+    /// @param _revocable bool Whether the grant is revocable or not.
+    function createGrant(address _to, uint256 _value, uint256 _start, uint256 _cliff, uint256 _end,
+        uint256 _installmentLength, bool _revocable)
+        private {
+
         require(_to != address(0));
         require(_to != address(this)); // Don't allow holder to be this contract.
         require(_value > 0);
@@ -116,7 +186,41 @@ contract VestingTrustee is Ownable {
         // This indirectly reduces the total amount available for vesting.
         totalVesting = totalVesting.add(_value);
 
-        emit NewGrant(msg.sender, _to, _value);
+        emit NewGrant(vester, _to, _value);
+    }
+
+    /// @dev Creates a grant from the parameters encoded in the data received by the token hooks.
+    ///      Data received from an address other than the vester must be empty.
+    /// @param _from address The address which funded the grant.
+    /// @param _value uint256 The amount of tokens to be granted.
+    /// @param _data bytes The encoded grant parameters, if any.
+    function grantFromData(address _from, uint256 _value, bytes _data) private {
+        if (_data.length == 0) {
+            return;
+        }
+
+        require(_from == vester);
+        require(_data.length == GRANT_DATA_LENGTH);
+
+        createGrant(
+            address(dataWord(_data, 0)),
+            _value,
+            dataWord(_data, 1),
+            dataWord(_data, 2),
+            dataWord(_data, 3),
+            dataWord(_data, 4),
+            dataWord(_data, 5) != 0
+        );
+    }
+
+    /// @dev Reads a 32 bytes word from ABI-encoded data.
+    /// @param _data bytes The encoded data.
+    /// @param _index uint256 The position of the word.
+    /// @return uint256 The word.
+    function dataWord(bytes _data, uint256 _index) private pure returns (uint256 word) {
+        assembly {
+            word := mload(add(_data, mul(add(_index, 1), 32)))
+        }
     }
 
     /// @dev Revoke the grant of tokens of a specified grantee address.
@@ -152,6 +256,21 @@ contract VestingTrustee is Ownable {
         emit GrantRevoked(_holder, toVester);
     }
 
+    /// @dev Returns the number of tokens which can be recovered by the owner. Tokens of the vested token
+    ///      can only be recovered above the total amount of vested tokens.
+    /// @param _token ERC20Basic The ERC20 token contract.
+    /// @return uint256 The number of tokens which can be recovered.
+    function recoverableTokens(ERC20Basic _token) public view returns (uint256) {
+        uint256 balance = _token.balanceOf(address(this));
+        if (_token != address(token)) {
+            return balance;
+        }
+        if (balance <= totalVesting) {
+            return 0;
+        }
+        return balance.sub(totalVesting);
+    }
+
     /// @dev Calculate amount of vested tokens at a specifc time.
     /// @param _grant Grant The vesting grant.
     /// @param _time uint256 The time to be checked
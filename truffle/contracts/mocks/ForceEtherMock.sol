@@ -0,0 +1,14 @@
+pragma solidity 0.4.23;
+
+/// @title  ForceEtherMock
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Test helper which sends ETH to contracts that cannot receive it, by self-destructing.
+contract ForceEtherMock {
+    constructor() public payable { }
+
+    /// @dev Destroys the contract sending its ETH to the given address.
+    /// @param _recipient The address to send the ETH to.
+    function destroyAndSend(address _recipient) external {
+        selfdestruct(_recipient);
+    }
+}
@@ -0,0 +1,16 @@
+pragma solidity 0.4.23;
+
+import "../Token.sol";
+
+/// @title  TokenV2Mock
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Test helper which is a new version of the token used to test upgrades through the proxy.
+contract TokenV2Mock is Token {
+    constructor(address _assigner, address _locker, address _pauser) public Token(_assigner, _locker, _pauser) { }
+
+    /// @dev Function added in the new version.
+    /// @return The version of the contract.
+    function version() external pure returns(string) {
+        return "2";
+    }
+}
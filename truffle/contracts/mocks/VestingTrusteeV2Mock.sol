@@ -0,0 +1,16 @@
+pragma solidity 0.4.23;
+
+import "../VestingTrustee.sol";
+
+/// @title  VestingTrusteeV2Mock
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Test helper which is a new version of the vesting trustee used to test upgrades through the proxy.
+contract VestingTrusteeV2Mock is VestingTrustee {
+    constructor(Token _token, address _vester) public VestingTrustee(_token, _vester) { }
+
+    /// @dev Function added in the new version.
+    /// @return The version of the contract.
+    function version() external pure returns(string) {
+        return "2";
+    }
+}
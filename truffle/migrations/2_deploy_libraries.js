@@ -0,0 +1,8 @@
+const TransferRestrictionMessages = artifacts.require('./TransferRestrictionMessages.sol');
+const Token = artifacts.require('./Token.sol');
+const TokenV2Mock = artifacts.require('./mocks/TokenV2Mock.sol');
+
+module.exports = (deployer) => {
+    deployer.deploy(TransferRestrictionMessages);
+    deployer.link(TransferRestrictionMessages, [Token, TokenV2Mock]);
+};
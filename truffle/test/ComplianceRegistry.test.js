@@ -0,0 +1,141 @@
+/// @title  ComplianceRegistry.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice ComplianceRegistry smart contract unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const ComplianceRegistry = artifacts.require('../contracts/ComplianceRegistry.sol');
+
+contract('ComplianceRegistry tests', function (accounts) {
+    const owner = accounts[1];
+    const verifier = accounts[2];
+    const someoneElse = accounts[3];
+    const investors = accounts.slice(5, 15);
+    const dataHash = web3.sha3('KYC documentation');
+
+    let registry;
+
+    describe('verifiers', function () {
+        before(async function () {
+            registry = await ComplianceRegistry.new({ from: owner });
+        });
+
+        it('accounts different from owner cannot add verifiers', async function () {
+            await assertRevert(registry.addVerifier(verifier, { from: someoneElse }));
+        });
+
+        it('cannot add 0x0 as verifier', async function () {
+            await assertRevert(registry.addVerifier(0x0, { from: owner }));
+        });
+
+        it('owner can add verifiers', async function () {
+            const addVerifier = await registry.addVerifier(verifier, { from: owner });
+            const eventLog = await expectEvent.inLogs(addVerifier.logs, 'VerifierAdded');
+            assert.equal(eventLog.args.addr.valueOf(), verifier);
+            assert.equal(await registry.isVerifier(verifier, { from: someoneElse }), true);
+        });
+
+        it('cannot add an address which is already a verifier', async function () {
+            await assertRevert(registry.addVerifier(verifier, { from: owner }));
+        });
+
+        it('accounts different from owner cannot remove verifiers', async function () {
+            await assertRevert(registry.removeVerifier(verifier, { from: someoneElse }));
+        });
+
+        it('owner can remove verifiers', async function () {
+            const removeVerifier = await registry.removeVerifier(verifier, { from: owner });
+            const eventLog = await expectEvent.inLogs(removeVerifier.logs, 'VerifierRemoved');
+            assert.equal(eventLog.args.addr.valueOf(), verifier);
+            assert.equal(await registry.isVerifier(verifier, { from: someoneElse }), false);
+        });
+
+        it('cannot remove an address which is not a verifier', async function () {
+            await assertRevert(registry.removeVerifier(verifier, { from: owner }));
+        });
+    });
+
+    describe('investors', function () {
+        let expiry;
+
+        before(async function () {
+            registry = await ComplianceRegistry.new({ from: owner });
+            await registry.addVerifier(verifier, { from: owner });
+            expiry = latestTime() + duration.days(30);
+        });
+
+        it('accounts different from verifiers cannot add investors', async function () {
+            await assertRevert(registry.addInvestor(investors[0], expiry, dataHash, { from: owner }));
+            assert.equal(await registry.isVerified(investors[0], { from: someoneElse }), false);
+        });
+
+        it('cannot add an investor with an expiry in the past', async function () {
+            await assertRevert(registry.addInvestor(investors[0], latestTime() - 1, dataHash, { from: verifier }));
+        });
+
+        it('cannot add 0x0 as investor', async function () {
+            await assertRevert(registry.addInvestor(0x0, expiry, dataHash, { from: verifier }));
+        });
+
+        it('verifier can add investors', async function () {
+            const addInvestor = await registry.addInvestor(investors[0], expiry, dataHash, { from: verifier });
+            const eventLog = await expectEvent.inLogs(addInvestor.logs, 'InvestorAdded');
+            assert.equal(eventLog.args.investor.valueOf(), investors[0]);
+            eventLog.args.expiry.should.be.bignumber.equal(expiry);
+            assert.equal(eventLog.args.dataHash.valueOf(), dataHash);
+            assert.equal(eventLog.args.verifier.valueOf(), verifier);
+
+            const investor = await registry.investors(investors[0], { from: someoneElse });
+            investor[0].should.be.bignumber.equal(expiry);
+            assert.equal(investor[1], dataHash);
+            assert.equal(investor[2], verifier);
+            assert.equal(await registry.isVerified(investors[0], { from: someoneElse }), true);
+        });
+
+        it('verifier can add investors in batches', async function () {
+            const batch = investors.slice(1, 4);
+            await registry.addInvestorsInBatches(batch, batch.map(() => expiry), batch.map(() => dataHash), { from: verifier });
+            for (let i = 0; i < batch.length; i++) {
+                assert.equal(await registry.isVerified(batch[i], { from: someoneElse }), true);
+            }
+        });
+
+        it('cannot add investors in batches of inconsistent length', async function () {
+            await assertRevert(registry.addInvestorsInBatches([], [], [], { from: verifier }));
+            await assertRevert(registry.addInvestorsInBatches([investors[4]], [expiry, expiry], [dataHash], { from: verifier }));
+            await assertRevert(registry.addInvestorsInBatches([investors[4]], [expiry], [], { from: verifier }));
+        });
+
+        it('verifier can remove investors', async function () {
+            const removeInvestor = await registry.removeInvestor(investors[3], { from: verifier });
+            const eventLog = await expectEvent.inLogs(removeInvestor.logs, 'InvestorRemoved');
+            assert.equal(eventLog.args.investor.valueOf(), investors[3]);
+            assert.equal(await registry.isVerified(investors[3], { from: someoneElse }), false);
+        });
+
+        it('cannot remove an address which is not an investor', async function () {
+            await assertRevert(registry.removeInvestor(investors[3], { from: verifier }));
+        });
+
+        it('investors remain verified after their verifier is removed', async function () {
+            await registry.removeVerifier(verifier, { from: owner });
+            assert.equal(await registry.isVerified(investors[0], { from: someoneElse }), true);
+            await assertRevert(registry.removeInvestor(investors[0], { from: verifier }));
+        });
+
+        it('verification expires', async function () {
+            await increaseTime.increaseTimeTo(expiry + duration.seconds(1));
+            assert.equal(await registry.isVerified(investors[0], { from: someoneElse }), false);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+/// @title  Crowdsale.Tiers.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Crowdsale smart contract pricing schedule unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const ExchangeRate = artifacts.require('../contracts/ExchangeRate.sol');
+const Crowdsale = artifacts.require('../contracts/Crowdsale.sol');
+
+contract('Crowdsale pricing schedule tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const updater = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the token sales
+    const wallet = accounts[15];
+
+    const ETH_USD_RATE = 50000; // USD 500.00 per ETH, in cents
+    const TOKEN_PRICE = 50;     // USD 0.50 per token, in cents
+
+    let token;
+    let crowdsale;
+    let tokenUnit;
+    let startTime;
+
+    // Early bird tiers: USD 0.40 + 20% bonus for the first day or 3 ETH, USD 0.50 + 10% bonus for the second day
+    // or up to 6 ETH, and USD 0.50 without bonus afterwards.
+    let endTimes;
+    const weiLimits = [ether(3), ether(6), 0];
+    const tokenPrices = [40, 50, 50];
+    const bonuses = [20, 10, 0];
+
+    function ether(amount) {
+        return new BigNumber(web3.toWei(amount, 'ether'));
+    }
+
+    function tokens(amount) {
+        return tokenUnit.mul(amount);
+    }
+
+    async function checkActiveTier(tokenSaleId, expectedActive, expectedIndex, expectedPrice, expectedBonus) {
+        const [active, index, price, bonus] = await crowdsale.getActiveTier(tokenSaleId, { from: someoneElse });
+        assert.equal(active, expectedActive);
+        index.should.be.bignumber.equal(expectedIndex);
+        price.should.be.bignumber.equal(expectedPrice);
+        bonus.should.be.bignumber.equal(expectedBonus);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        tokenUnit = await token.TOKEN_UNIT();
+        const exchangeRate = await ExchangeRate.new(updater, { from: owner });
+        await exchangeRate.updateRate('ETH/USD', ETH_USD_RATE, { from: updater });
+        crowdsale = await Crowdsale.new(token.address, exchangeRate.address, wallet, TOKEN_PRICE, { from: owner });
+        await token.addAssigner(crowdsale.address, { from: owner });
+
+        startTime = latestTime();
+        endTimes = [startTime + duration.days(1), startTime + duration.days(2), 0];
+    });
+
+    describe('setting the pricing schedule', function () {
+        it('token sales without tiers are sold at the flat token price', async function () {
+            '0'.should.be.bignumber.equal(await crowdsale.getTierCount(1));
+            await checkActiveTier(1, true, 0, TOKEN_PRICE, 0);
+            tokens(1000).should.be.bignumber.equal(await crowdsale.getTokenAmount(1, ether(1)));
+        });
+
+        it('accounts different from owner cannot set the tiers', async function () {
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits, tokenPrices, bonuses, { from: someoneElse }));
+        });
+
+        it('cannot set tiers with arrays of different lengths', async function () {
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits.slice(1), tokenPrices, bonuses,
+                { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits, tokenPrices.slice(1), bonuses,
+                { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits, tokenPrices, bonuses.slice(1),
+                { from: owner }));
+        });
+
+        it('cannot set more than the max. number of tiers', async function () {
+            const maxTiers = (await crowdsale.MAX_TIERS()).toNumber();
+            const times = Array.from({ length: maxTiers + 1 }, (_, i) => startTime + duration.days(i + 1));
+            await assertRevert(crowdsale.setTiers(1, times, times.map(() => 0), times.map(() => TOKEN_PRICE),
+                times.map(() => 0), { from: owner }));
+        });
+
+        it('cannot set tiers with price 0 or a bonus above the max. bonus', async function () {
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits, [40, 0, 50], bonuses, { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, endTimes, weiLimits, tokenPrices, [101, 10, 0], { from: owner }));
+        });
+
+        it('cannot set unsorted tiers', async function () {
+            await assertRevert(crowdsale.setTiers(1, [endTimes[1], endTimes[0], 0], weiLimits, tokenPrices, bonuses,
+                { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, endTimes, [ether(6), ether(3), 0], tokenPrices, bonuses,
+                { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, [0, endTimes[0], 0], weiLimits, tokenPrices, bonuses,
+                { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, endTimes, [0, ether(3), 0], tokenPrices, bonuses,
+                { from: owner }));
+        });
+
+        it('cannot set overlapping tiers, which would never be active', async function () {
+            await assertRevert(crowdsale.setTiers(1, [endTimes[0], endTimes[0], 0], [ether(3), ether(3), 0],
+                tokenPrices, bonuses, { from: owner }));
+            await assertRevert(crowdsale.setTiers(1, [endTimes[0], 0, 0], [ether(3), 0, 0],
+                tokenPrices, bonuses, { from: owner }));
+        });
+
+        it('owner can set the tiers of a token sale', async function () {
+            const setTiers = await crowdsale.setTiers(1, endTimes, weiLimits, tokenPrices, bonuses, { from: owner });
+            const eventLog = await expectEvent.inLogs(setTiers.logs, 'TiersChanged');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            eventLog.args.tierCount.should.be.bignumber.equal(3);
+
+            '3'.should.be.bignumber.equal(await crowdsale.getTierCount(1));
+            '0'.should.be.bignumber.equal(await crowdsale.getTierCount(2));
+            const [endTime, weiLimit, tokenPrice, bonus] = await crowdsale.tiers(1, 1);
+            endTime.should.be.bignumber.equal(endTimes[1]);
+            weiLimit.should.be.bignumber.equal(weiLimits[1]);
+            tokenPrice.should.be.bignumber.equal(tokenPrices[1]);
+            bonus.should.be.bignumber.equal(bonuses[1]);
+        });
+
+        it('tiers can be limited only by time or only by wei raised', async function () {
+            await crowdsale.setTiers(2, [endTimes[0], endTimes[1]], [0, 0], [40, 50], [0, 0], { from: owner });
+            '2'.should.be.bignumber.equal(await crowdsale.getTierCount(2));
+            await crowdsale.setTiers(2, [0, 0], [ether(3), ether(6)], [40, 50], [0, 0], { from: owner });
+            '2'.should.be.bignumber.equal(await crowdsale.getTierCount(2));
+        });
+
+        it('owner can remove the tiers of a token sale', async function () {
+            await crowdsale.setTiers(2, [], [], [], [], { from: owner });
+            '0'.should.be.bignumber.equal(await crowdsale.getTierCount(2));
+            await checkActiveTier(2, true, 0, TOKEN_PRICE, 0);
+        });
+    });
+
+    describe('buying tokens', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('the first tier is active initially', async function () {
+            await checkActiveTier(1, true, 0, 40, 20);
+            // 1 ETH = USD 500 = 1250 tokens + 20% bonus
+            tokens(1500).should.be.bignumber.equal(await crowdsale.getTokenAmount(1, ether(1)));
+        });
+
+        it('tokens are bought at the price and bonus of the active tier', async function () {
+            await crowdsale.buyTokens(participants[0], { from: participants[0], value: ether(2) });
+            tokens(3000).should.be.bignumber.equal(await token.balanceOf(participants[0]));
+            await checkActiveTier(1, true, 0, 40, 20);
+        });
+
+        it('a purchase crossing the wei limit of a tier is split across the tiers', async function () {
+            // 1 ETH at the first tier (1250 tokens + 20% bonus) and 1 ETH at the second (1000 tokens + 10% bonus)
+            tokens(2600).should.be.bignumber.equal(await crowdsale.getTokenAmount(1, ether(2)));
+            await crowdsale.buyTokens(participants[1], { from: participants[1], value: ether(2) });
+            tokens(2600).should.be.bignumber.equal(await token.balanceOf(participants[1]));
+        });
+
+        it('the next tier is active once the wei limit of the tier is reached', async function () {
+            await checkActiveTier(1, true, 1, 50, 10);
+            await crowdsale.buyTokens(participants[2], { from: participants[2], value: ether(1) });
+            tokens(1100).should.be.bignumber.equal(await token.balanceOf(participants[2]));
+        });
+
+        it('the next tier is active once the end time of the tier is reached', async function () {
+            await increaseTime.increaseTimeTo(endTimes[1] + duration.seconds(1));
+            await checkActiveTier(1, true, 2, 50, 0);
+            await crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(1) });
+            tokens(1000).should.be.bignumber.equal(await token.balanceOf(participants[3]));
+        });
+
+        it('cannot buy tokens once all the tiers have ended', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+            await crowdsale.setTiers(2, [latestTime() + duration.days(1)], [ether(1)], [40], [0], { from: owner });
+
+            await assertRevert(crowdsale.getTokenAmount(2, ether(1.5)));
+            await assertRevert(crowdsale.buyTokens(participants[4], { from: participants[4], value: ether(1.5) }));
+            await crowdsale.buyTokens(participants[4], { from: participants[4], value: ether(1) });
+            tokens(1250).should.be.bignumber.equal(await token.balanceOf(participants[4]));
+
+            await checkActiveTier(2, false, 0, 0, 0);
+            await assertRevert(crowdsale.getTokenAmount(2, ether(1)));
+            await assertRevert(crowdsale.buyTokens(participants[5], { from: participants[5], value: ether(1) }));
+        });
+
+        it('tokens are sold at the flat token price once the tiers are removed', async function () {
+            await crowdsale.setTiers(2, [], [], [], [], { from: owner });
+            await crowdsale.buyTokens(participants[5], { from: participants[5], value: ether(1) });
+            tokens(1000).should.be.bignumber.equal(await token.balanceOf(participants[5]));
+        });
+    });
+});
@@ -0,0 +1,252 @@
+/// @title  Crowdsale.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Crowdsale smart contract unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+const ExchangeRate = artifacts.require('../contracts/ExchangeRate.sol');
+const Crowdsale = artifacts.require('../contracts/Crowdsale.sol');
+const MultiSigWalletWithDailyLimit = artifacts.require('../contracts/MultiSigWalletWithDailyLimit.sol');
+
+contract('Crowdsale tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const updater = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the token sales
+    const clientWallets = accounts.slice(15, 18);
+
+    const ETH_USD_RATE = 50000; // USD 500.00 per ETH, in cents
+    const TOKEN_PRICE = 50;     // USD 0.50 per token, in cents
+    const TOKENS_PER_ETH = 1000;
+
+    let token;
+    let exchangeRate;
+    let multisig;
+    let crowdsale;
+    let tokenUnit;
+
+    function ether(amount) {
+        return new BigNumber(web3.toWei(amount, 'ether'));
+    }
+
+    function tokens(amount) {
+        return tokenUnit.mul(amount);
+    }
+
+    async function checkPurchase(purchase, purchaser, beneficiary, value, expectedAmount) {
+        const eventLog = await expectEvent.inLogs(purchase.logs, 'TokensPurchased');
+        assert.equal(eventLog.args.purchaser, purchaser);
+        assert.equal(eventLog.args.beneficiary, beneficiary);
+        eventLog.args.tokenSaleId.should.be.bignumber.equal(await token.getCurrentTokenSaleId());
+        eventLog.args.value.should.be.bignumber.equal(value);
+        eventLog.args.amount.should.be.bignumber.equal(expectedAmount);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        tokenUnit = await token.TOKEN_UNIT();
+        exchangeRate = await ExchangeRate.new(updater, { from: owner });
+        multisig = await MultiSigWalletWithDailyLimit.new(clientWallets, 2, 0, { from: someoneElse });
+        crowdsale = await Crowdsale.new(token.address, exchangeRate.address, multisig.address, TOKEN_PRICE, { from: owner });
+        await token.addAssigner(crowdsale.address, { from: owner });
+    });
+
+    describe('deployment', function () {
+        it('cannot be deployed without token, exchange rate, wallet or price', async function () {
+            await assertRevert(Crowdsale.new(0x0, exchangeRate.address, multisig.address, TOKEN_PRICE, { from: owner }));
+            await assertRevert(Crowdsale.new(token.address, 0x0, multisig.address, TOKEN_PRICE, { from: owner }));
+            await assertRevert(Crowdsale.new(token.address, exchangeRate.address, 0x0, TOKEN_PRICE, { from: owner }));
+            await assertRevert(Crowdsale.new(token.address, exchangeRate.address, multisig.address, 0, { from: owner }));
+        });
+
+        it('check initial values', async function () {
+            assert.equal(await crowdsale.token(), token.address);
+            assert.equal(await crowdsale.exchangeRate(), exchangeRate.address);
+            assert.equal(await crowdsale.wallet(), multisig.address);
+            assert.equal(await crowdsale.RATE_ID(), 'ETH/USD');
+            TOKEN_PRICE.should.be.bignumber.equal(await crowdsale.tokenPrice());
+            '0'.should.be.bignumber.equal(await crowdsale.minContribution());
+            '0'.should.be.bignumber.equal(await crowdsale.maxContribution());
+        });
+    });
+
+    describe('before the ETH/USD rate is set', function () {
+        it('cannot calculate the number of tokens', async function () {
+            await assertRevert(crowdsale.getTokenAmount(1, ether(1)));
+        });
+    });
+
+    describe('before the token sale', function () {
+        before(async function () {
+            await exchangeRate.updateRate('ETH/USD', ETH_USD_RATE, { from: updater });
+        });
+
+        it('calculates the number of tokens from the ETH/USD rate and the token price', async function () {
+            tokens(TOKENS_PER_ETH).should.be.bignumber.equal(await crowdsale.getTokenAmount(1, ether(1)));
+            tokens(TOKENS_PER_ETH / 4).should.be.bignumber.equal(await crowdsale.getTokenAmount(1, ether(0.25)));
+        });
+
+        it('cannot buy tokens', async function () {
+            await assertRevert(crowdsale.buyTokens(participants[0], { from: participants[0], value: ether(1) }));
+        });
+    });
+
+    describe('during the token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('cannot buy tokens without ETH or for address 0x0', async function () {
+            await assertRevert(crowdsale.buyTokens(participants[0], { from: participants[0], value: 0 }));
+            await assertRevert(crowdsale.buyTokens(0x0, { from: participants[0], value: ether(1) }));
+        });
+
+        it('buys tokens sending ETH to the contract, forwarding the ETH to the wallet', async function () {
+            const purchase = await crowdsale.sendTransaction({ from: participants[0], value: ether(1) });
+            await checkPurchase(purchase, participants[0], participants[0], ether(1), tokens(TOKENS_PER_ETH));
+
+            tokens(TOKENS_PER_ETH).should.be.bignumber.equal(await token.balanceOf(participants[0]));
+            ether(1).should.be.bignumber.equal(web3.eth.getBalance(multisig.address));
+            '0'.should.be.bignumber.equal(web3.eth.getBalance(crowdsale.address));
+            ether(1).should.be.bignumber.equal(await crowdsale.weiRaised(1));
+            ether(1).should.be.bignumber.equal(await crowdsale.contributions(1, participants[0]));
+        });
+
+        it('buys tokens for a beneficiary', async function () {
+            const purchase = await crowdsale.buyTokens(participants[1], { from: someoneElse, value: ether(2) });
+            await checkPurchase(purchase, someoneElse, participants[1], ether(2), tokens(2 * TOKENS_PER_ETH));
+
+            tokens(2 * TOKENS_PER_ETH).should.be.bignumber.equal(await token.balanceOf(participants[1]));
+            '0'.should.be.bignumber.equal(await token.balanceOf(someoneElse));
+            ether(2).should.be.bignumber.equal(await crowdsale.contributions(1, participants[1]));
+            ether(3).should.be.bignumber.equal(await crowdsale.weiRaised(1));
+        });
+
+        it('the number of tokens follows the ETH/USD rate', async function () {
+            await exchangeRate.updateRate('ETH/USD', 2 * ETH_USD_RATE, { from: updater });
+            await crowdsale.buyTokens(participants[2], { from: participants[2], value: ether(1) });
+            tokens(2 * TOKENS_PER_ETH).should.be.bignumber.equal(await token.balanceOf(participants[2]));
+            await exchangeRate.updateRate('ETH/USD', ETH_USD_RATE, { from: updater });
+        });
+
+        it('cannot buy tokens if the crowdsale is not an assigner of the token', async function () {
+            await token.removeAssigner(crowdsale.address, { from: owner });
+            await assertRevert(crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(1) }));
+            await token.addAssigner(crowdsale.address, { from: owner });
+        });
+
+        it('cannot buy tokens while the token is paused', async function () {
+            await token.pause({ from: pauser });
+            await assertRevert(crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(1) }));
+            await token.unpause({ from: pauser });
+        });
+    });
+
+    describe('contribution limits', function () {
+        it('accounts different from owner cannot set the contribution limits', async function () {
+            await assertRevert(crowdsale.setContributionLimits(ether(0.5), ether(2), { from: someoneElse }));
+        });
+
+        it('cannot set a max. contribution below the min. contribution', async function () {
+            await assertRevert(crowdsale.setContributionLimits(ether(2), ether(1), { from: owner }));
+        });
+
+        it('owner can set the contribution limits', async function () {
+            const setLimits = await crowdsale.setContributionLimits(ether(0.5), ether(2), { from: owner });
+            const eventLog = await expectEvent.inLogs(setLimits.logs, 'ContributionLimitsChanged');
+            eventLog.args.minContribution.should.be.bignumber.equal(ether(0.5));
+            eventLog.args.maxContribution.should.be.bignumber.equal(ether(2));
+        });
+
+        it('cannot buy tokens below the min. contribution', async function () {
+            await assertRevert(crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(0.4) }));
+            await crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(0.5) });
+        });
+
+        it('cannot contribute more than the max. contribution in the same token sale', async function () {
+            await assertRevert(crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(1.6) }));
+            await assertRevert(crowdsale.buyTokens(participants[3], { from: someoneElse, value: ether(1.6) }));
+            await crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(1.5) });
+            ether(2).should.be.bignumber.equal(await crowdsale.contributions(1, participants[3]));
+        });
+    });
+
+    describe('caps', function () {
+        it('accounts different from owner cannot cap the token sales', async function () {
+            await assertRevert(crowdsale.setWeiCap(1, ether(10), { from: someoneElse }));
+        });
+
+        it('cannot cap a token sale below the wei already raised', async function () {
+            await assertRevert(crowdsale.setWeiCap(1, ether(5), { from: owner }));
+        });
+
+        it('owner can cap a token sale', async function () {
+            const setWeiCap = await crowdsale.setWeiCap(1, ether(7), { from: owner });
+            const eventLog = await expectEvent.inLogs(setWeiCap.logs, 'WeiCapChanged');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            eventLog.args.cap.should.be.bignumber.equal(ether(7));
+            ether(7).should.be.bignumber.equal(await crowdsale.weiCap(1));
+        });
+
+        it('cannot raise more than the cap of the token sale', async function () {
+            ether(6).should.be.bignumber.equal(await crowdsale.weiRaised(1));
+            await assertRevert(crowdsale.buyTokens(participants[4], { from: participants[4], value: ether(1.5) }));
+            await crowdsale.buyTokens(participants[4], { from: participants[4], value: ether(1) });
+            await assertRevert(crowdsale.buyTokens(participants[5], { from: participants[5], value: ether(0.5) }));
+        });
+
+        it('caps and contribution limits apply per token sale', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+
+            const purchase = await crowdsale.buyTokens(participants[3], { from: participants[3], value: ether(2) });
+            await checkPurchase(purchase, participants[3], participants[3], ether(2), tokens(2 * TOKENS_PER_ETH));
+            ether(2).should.be.bignumber.equal(await crowdsale.weiRaised(2));
+            ether(2).should.be.bignumber.equal(await crowdsale.contributions(2, participants[3]));
+            ether(7).should.be.bignumber.equal(await crowdsale.weiRaised(1));
+            ether(9).should.be.bignumber.equal(web3.eth.getBalance(multisig.address));
+        });
+    });
+
+    describe('settings', function () {
+        it('accounts different from owner cannot change the wallet or the token price', async function () {
+            await assertRevert(crowdsale.setWallet(someoneElse, { from: someoneElse }));
+            await assertRevert(crowdsale.setTokenPrice(100, { from: someoneElse }));
+        });
+
+        it('cannot change the wallet to 0x0 or the token price to 0', async function () {
+            await assertRevert(crowdsale.setWallet(0x0, { from: owner }));
+            await assertRevert(crowdsale.setTokenPrice(0, { from: owner }));
+        });
+
+        it('owner can change the token price', async function () {
+            const setTokenPrice = await crowdsale.setTokenPrice(2 * TOKEN_PRICE, { from: owner });
+            const eventLog = await expectEvent.inLogs(setTokenPrice.logs, 'TokenPriceChanged');
+            eventLog.args.previousPrice.should.be.bignumber.equal(TOKEN_PRICE);
+            eventLog.args.newPrice.should.be.bignumber.equal(2 * TOKEN_PRICE);
+            tokens(TOKENS_PER_ETH / 2).should.be.bignumber.equal(await crowdsale.getTokenAmount(2, ether(1)));
+        });
+
+        it('owner can change the wallet', async function () {
+            const setWallet = await crowdsale.setWallet(someoneElse, { from: owner });
+            const eventLog = await expectEvent.inLogs(setWallet.logs, 'WalletChanged');
+            assert.equal(eventLog.args.previousWallet, multisig.address);
+            assert.equal(eventLog.args.newWallet, someoneElse);
+
+            const balance = web3.eth.getBalance(someoneElse);
+            await crowdsale.buyTokens(participants[6], { from: participants[6], value: ether(1) });
+            balance.add(ether(1)).should.be.bignumber.equal(web3.eth.getBalance(someoneElse));
+        });
+    });
+});
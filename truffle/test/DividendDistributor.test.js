@@ -0,0 +1,227 @@
+/// @title  DividendDistributor.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice DividendDistributor smart contract unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const DividendDistributor = artifacts.require('../contracts/DividendDistributor.sol');
+
+contract('DividendDistributor tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);
+    const etherAmount = new BigNumber(web3.toWei(1, 'ether'));
+
+    let token;
+    let payoutToken;
+    let distributor;
+    let expiry;
+
+    async function checkClaim(claim, dividendId, holder, expectedAmount) {
+        const eventLog = await expectEvent.inLogs(claim.logs, 'DividendClaimed');
+        eventLog.args.dividendId.should.be.bignumber.equal(dividendId);
+        assert.equal(eventLog.args.holder.valueOf(), holder);
+        eventLog.args.amount.should.be.bignumber.equal(expectedAmount);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mint(participants[0], 100, { from: assigner });
+        await token.mint(participants[1], 300, { from: assigner });
+        await token.mint(participants[2], 600, { from: assigner });
+        await token.lockAddress(participants[2], { from: locker });
+        await token.tokenSaleEnd({ from: owner }); // takes snapshot 1
+
+        payoutToken = await Token.new(assigner, locker, pauser, { from: owner });
+        await payoutToken.tokenSaleStart(0, { from: owner });
+        await payoutToken.mint(owner, 10000, { from: assigner });
+        await payoutToken.tokenSaleEnd({ from: owner });
+
+        distributor = await DividendDistributor.new(token.address, { from: owner });
+        expiry = latestTime() + duration.days(30);
+    });
+
+    describe('constructor', function () {
+        it('token cannot be 0x0', async function () {
+            await assertRevert(DividendDistributor.new(0x0, { from: owner }));
+        });
+
+        it('check the token', async function () {
+            assert.equal(await distributor.token.call({ from: someoneElse }), token.address);
+        });
+    });
+
+    describe('depositing dividends', function () {
+        it('accounts different from owner cannot deposit dividends', async function () {
+            await assertRevert(distributor.depositEtherDividend(1, expiry, { from: someoneElse, value: etherAmount }));
+        });
+
+        it('cannot deposit an empty dividend', async function () {
+            await assertRevert(distributor.depositEtherDividend(1, expiry, { from: owner, value: 0 }));
+        });
+
+        it('cannot deposit a dividend for a snapshot which has not been taken', async function () {
+            await assertRevert(distributor.depositEtherDividend(2, expiry, { from: owner, value: etherAmount }));
+        });
+
+        it('cannot deposit a dividend which has already expired', async function () {
+            await assertRevert(distributor.depositEtherDividend(1, latestTime() - 1, { from: owner, value: etherAmount }));
+        });
+
+        it('owner can deposit an ETH dividend', async function () {
+            const deposit = await distributor.depositEtherDividend(1, expiry, { from: owner, value: etherAmount });
+            const eventLog = await expectEvent.inLogs(deposit.logs, 'DividendDeposited');
+            eventLog.args.dividendId.should.be.bignumber.equal(0);
+            assert.equal(eventLog.args.payoutToken.valueOf(), 0x0);
+            eventLog.args.amount.should.be.bignumber.equal(etherAmount);
+            eventLog.args.snapshotId.should.be.bignumber.equal(1);
+            eventLog.args.expiry.should.be.bignumber.equal(expiry);
+            '1'.should.be.bignumber.equal(await distributor.getDividendsCount({ from: someoneElse }));
+        });
+
+        it('cannot deposit an ERC20 dividend without allowance', async function () {
+            await assertRevert(distributor.depositERC20Dividend(payoutToken.address, 1000, 1, expiry, { from: owner }));
+        });
+
+        it('owner can deposit an ERC20 dividend', async function () {
+            await payoutToken.approve(distributor.address, 1000, { from: owner });
+            const deposit = await distributor.depositERC20Dividend(payoutToken.address, 1000, 1, expiry, { from: owner });
+            const eventLog = await expectEvent.inLogs(deposit.logs, 'DividendDeposited');
+            eventLog.args.dividendId.should.be.bignumber.equal(1);
+            assert.equal(eventLog.args.payoutToken.valueOf(), payoutToken.address);
+            '1000'.should.be.bignumber.equal(await payoutToken.balanceOf(distributor.address, { from: someoneElse }));
+        });
+    });
+
+    describe('claiming dividends', function () {
+        before(async function () {
+            // Balance changes after the snapshot do not affect the shares.
+            await token.transfer(participants[3], 100, { from: participants[0] });
+        });
+
+        it('shares are proportional to the balances at the snapshot', async function () {
+            etherAmount.times(0.1).should.be.bignumber.equal(await distributor.dividendShare(0, participants[0], { from: someoneElse }));
+            etherAmount.times(0.3).should.be.bignumber.equal(await distributor.dividendShare(0, participants[1], { from: someoneElse }));
+            etherAmount.times(0.6).should.be.bignumber.equal(await distributor.dividendShare(0, participants[2], { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await distributor.dividendShare(0, participants[3], { from: someoneElse }));
+        });
+
+        it('holders can claim their ETH share', async function () {
+            const claim = await distributor.claimDividend(0, { from: participants[0] });
+            await checkClaim(claim, 0, participants[0], etherAmount.times(0.1));
+        });
+
+        it('cannot claim a share twice', async function () {
+            await assertRevert(distributor.claimDividend(0, { from: participants[0] }));
+            '0'.should.be.bignumber.equal(await distributor.dividendShare(0, participants[0], { from: someoneElse }));
+        });
+
+        it('addresses without balance at the snapshot cannot claim', async function () {
+            await assertRevert(distributor.claimDividend(0, { from: participants[3] }));
+        });
+
+        it('shares can be claimed on behalf of a holder', async function () {
+            const balanceBefore = web3.eth.getBalance(participants[1]);
+            const claim = await distributor.claimDividendFor(0, participants[1], { from: someoneElse });
+            await checkClaim(claim, 0, participants[1], etherAmount.times(0.3));
+            balanceBefore.plus(etherAmount.times(0.3)).should.be.bignumber.equal(web3.eth.getBalance(participants[1]));
+        });
+
+        it('shares of locked holders are escrowed until they are unlocked', async function () {
+            const escrow = await distributor.claimDividend(0, { from: participants[2] });
+            const eventLog = await expectEvent.inLogs(escrow.logs, 'DividendEscrowed');
+            eventLog.args.dividendId.should.be.bignumber.equal(0);
+            assert.equal(eventLog.args.holder.valueOf(), participants[2]);
+            eventLog.args.amount.should.be.bignumber.equal(etherAmount.times(0.6));
+            etherAmount.times(0.6).should.be.bignumber.equal(await distributor.escrowed(0, participants[2], { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await distributor.dividendShare(0, participants[2], { from: someoneElse }));
+
+            await distributor.claimDividendFor(1, participants[2], { from: someoneElse });
+            '600'.should.be.bignumber.equal(await distributor.escrowed(1, participants[2], { from: someoneElse }));
+        });
+
+        it('escrowed shares cannot be paid while the holder is locked', async function () {
+            await assertRevert(distributor.claimDividend(0, { from: participants[2] }));
+            await assertRevert(distributor.claimDividendFor(1, participants[2], { from: someoneElse }));
+        });
+
+        it('holders can claim their ERC20 share', async function () {
+            await distributor.claimDividendFor(1, participants[1], { from: someoneElse });
+            '300'.should.be.bignumber.equal(await payoutToken.balanceOf(participants[1], { from: someoneElse }));
+        });
+
+        it('cannot claim a dividend which does not exist', async function () {
+            await assertRevert(distributor.claimDividend(2, { from: participants[0] }));
+        });
+    });
+
+    describe('reclaiming dividends', function () {
+        it('cannot reclaim a dividend before its expiry', async function () {
+            await assertRevert(distributor.reclaimDividend(1, { from: owner }));
+        });
+
+        it('accounts different from owner cannot reclaim dividends', async function () {
+            await increaseTime.increaseTimeTo(expiry + duration.seconds(1));
+            await assertRevert(distributor.reclaimDividend(1, { from: someoneElse }));
+        });
+
+        it('owner can reclaim the unclaimed part of a dividend after its expiry', async function () {
+            const ownerBalanceBefore = await payoutToken.balanceOf(owner, { from: someoneElse });
+            const reclaim = await distributor.reclaimDividend(1, { from: owner });
+            const eventLog = await expectEvent.inLogs(reclaim.logs, 'DividendReclaimed');
+            eventLog.args.dividendId.should.be.bignumber.equal(1);
+            eventLog.args.amount.should.be.bignumber.equal(100);
+            ownerBalanceBefore.plus(100).should.be.bignumber.equal(await payoutToken.balanceOf(owner, { from: someoneElse }));
+            '600'.should.be.bignumber.equal(await payoutToken.balanceOf(distributor.address, { from: someoneElse }));
+        });
+
+        it('escrowed shares of holders still locked at the expiry are paid once they are unlocked', async function () {
+            await assertRevert(distributor.claimDividend(1, { from: participants[2] }));
+            await token.unlockAddress(participants[2], { from: locker });
+
+            const claim = await distributor.claimDividend(1, { from: participants[2] });
+            await checkClaim(claim, 1, participants[2], 600);
+            '600'.should.be.bignumber.equal(await payoutToken.balanceOf(participants[2], { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await payoutToken.balanceOf(distributor.address, { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await distributor.escrowed(1, participants[2], { from: someoneElse }));
+
+            const claimEther = await distributor.claimDividendFor(0, participants[2], { from: someoneElse });
+            await checkClaim(claimEther, 0, participants[2], etherAmount.times(0.6));
+        });
+
+        it('escrowed shares cannot be paid twice', async function () {
+            await assertRevert(distributor.claimDividend(1, { from: participants[2] }));
+            await assertRevert(distributor.claimDividend(0, { from: participants[2] }));
+        });
+
+        it('cannot claim a reclaimed dividend', async function () {
+            await assertRevert(distributor.claimDividend(1, { from: participants[0] }));
+        });
+
+        it('cannot reclaim a dividend twice', async function () {
+            await assertRevert(distributor.reclaimDividend(1, { from: owner }));
+        });
+
+        it('owner can reclaim an ETH dividend which has been fully claimed', async function () {
+            const reclaim = await distributor.reclaimDividend(0, { from: owner });
+            const eventLog = await expectEvent.inLogs(reclaim.logs, 'DividendReclaimed');
+            eventLog.args.amount.should.be.bignumber.equal(0);
+            '0'.should.be.bignumber.equal(web3.eth.getBalance(distributor.address));
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/// @title  Recoverable.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Recovery of ETH and ERC20 tokens sent by mistake to Token, VestingTrustee and ExchangeRate unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const VestingTrustee = artifacts.require('../contracts/VestingTrustee.sol');
+const ExchangeRate = artifacts.require('../contracts/ExchangeRate.sol');
+const ForceEtherMock = artifacts.require('../contracts/mocks/ForceEtherMock.sol');
+
+contract('Recoverable tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const vester = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const etherAmount = new BigNumber(web3.toWei(1, 'ether'));
+
+    let token;
+    let foreignToken;
+
+    async function newToken() {
+        const newToken = await Token.new(assigner, locker, pauser, { from: owner });
+        await newToken.tokenSaleStart(0, { from: owner });
+        await newToken.mintInBatches(participants, participants.map(() => 1000), { from: assigner });
+        await newToken.mint(vester, 1000, { from: assigner });
+        await newToken.tokenSaleEnd({ from: owner });
+        return newToken;
+    }
+
+    async function forceEther(recipient) {
+        const forceEtherMock = await ForceEtherMock.new({ from: someoneElse, value: etherAmount });
+        await forceEtherMock.destroyAndSend(recipient, { from: someoneElse });
+        etherAmount.should.be.bignumber.equal(web3.eth.getBalance(recipient));
+    }
+
+    async function checkRecoverTokens(contract, tokenToRecover, to, value) {
+        const expectedBalance = (await tokenToRecover.balanceOf(to, { from: someoneElse })).plus(value);
+        const recover = await contract.recoverTokens(tokenToRecover.address, to, value, { from: owner });
+        const eventLog = await expectEvent.inLogs(recover.logs, 'TokensRecovered');
+        assert.equal(eventLog.args.token.valueOf(), tokenToRecover.address);
+        assert.equal(eventLog.args.to.valueOf(), to);
+        eventLog.args.value.should.be.bignumber.equal(value);
+        expectedBalance.should.be.bignumber.equal(await tokenToRecover.balanceOf(to, { from: someoneElse }));
+    }
+
+    async function checkRecoverEther(contract, to) {
+        const expectedBalance = web3.eth.getBalance(to).plus(etherAmount);
+        const recover = await contract.recoverEther(to, { from: owner });
+        const eventLog = await expectEvent.inLogs(recover.logs, 'EtherRecovered');
+        assert.equal(eventLog.args.to.valueOf(), to);
+        eventLog.args.value.should.be.bignumber.equal(etherAmount);
+        expectedBalance.should.be.bignumber.equal(web3.eth.getBalance(to));
+        '0'.should.be.bignumber.equal(web3.eth.getBalance(contract.address));
+    }
+
+    before(async function () {
+        token = await newToken();
+        foreignToken = await newToken();
+    });
+
+    describe('Token', function () {
+        before(async function () {
+            await foreignToken.transfer(token.address, 100, { from: participants[0] });
+            await token.transfer(token.address, 50, { from: participants[0] });
+        });
+
+        it('ETH cannot be sent to the token directly', async function () {
+            await assertRevert(token.sendTransaction({ from: someoneElse, value: etherAmount }));
+        });
+
+        it('accounts different from owner cannot recover tokens or ETH', async function () {
+            await assertRevert(token.recoverTokens(foreignToken.address, someoneElse, 100, { from: someoneElse }));
+            await assertRevert(token.recoverEther(someoneElse, { from: someoneElse }));
+        });
+
+        it('cannot recover more tokens than the contract holds', async function () {
+            '100'.should.be.bignumber.equal(await token.recoverableTokens(foreignToken.address, { from: someoneElse }));
+            await assertRevert(token.recoverTokens(foreignToken.address, participants[0], 101, { from: owner }));
+        });
+
+        it('cannot recover tokens to 0x0', async function () {
+            await assertRevert(token.recoverTokens(foreignToken.address, 0x0, 100, { from: owner }));
+        });
+
+        it('owner can recover foreign tokens', async function () {
+            await checkRecoverTokens(token, foreignToken, participants[0], 100);
+        });
+
+        it('owner can recover its own tokens', async function () {
+            await checkRecoverTokens(token, token, participants[0], 50);
+        });
+
+        it('cannot recover ETH if the contract holds none', async function () {
+            await assertRevert(token.recoverEther(owner, { from: owner }));
+        });
+
+        it('owner can recover ETH forced into the contract', async function () {
+            await forceEther(token.address);
+            await checkRecoverEther(token, participants[0]);
+        });
+    });
+
+    describe('VestingTrustee', function () {
+        let trustee;
+
+        before(async function () {
+            trustee = await VestingTrustee.new(token.address, vester, { from: owner });
+            await token.transfer(trustee.address, 1000, { from: vester });
+            const now = latestTime();
+            await trustee.grant(participants[1], 800, now, now + duration.days(30), now + duration.days(360),
+                duration.days(30), true, { from: vester });
+            await token.transfer(trustee.address, 20, { from: participants[2] });
+            await foreignToken.transfer(trustee.address, 100, { from: participants[0] });
+        });
+
+        it('accounts different from owner cannot recover tokens or ETH', async function () {
+            await assertRevert(trustee.recoverTokens(foreignToken.address, someoneElse, 100, { from: vester }));
+            await assertRevert(trustee.recoverEther(someoneElse, { from: vester }));
+        });
+
+        it('owner can recover foreign tokens', async function () {
+            await checkRecoverTokens(trustee, foreignToken, participants[0], 100);
+        });
+
+        it('cannot recover vested tokens', async function () {
+            '220'.should.be.bignumber.equal(await trustee.recoverableTokens(token.address, { from: someoneElse }));
+            await assertRevert(trustee.recoverTokens(token.address, participants[2], 221, { from: owner }));
+        });
+
+        it('owner can recover vested token contract tokens above the total vesting', async function () {
+            await checkRecoverTokens(trustee, token, participants[2], 220);
+            '0'.should.be.bignumber.equal(await trustee.recoverableTokens(token.address, { from: someoneElse }));
+            '800'.should.be.bignumber.equal(await token.balanceOf(trustee.address, { from: someoneElse }));
+            await assertRevert(trustee.recoverTokens(token.address, participants[2], 1, { from: owner }));
+        });
+
+        it('owner can recover ETH forced into the contract', async function () {
+            await forceEther(trustee.address);
+            await checkRecoverEther(trustee, participants[1]);
+        });
+    });
+
+    describe('ExchangeRate', function () {
+        let exchangeRate;
+
+        before(async function () {
+            exchangeRate = await ExchangeRate.new(someoneElse, { from: owner });
+            await foreignToken.transfer(exchangeRate.address, 100, { from: participants[0] });
+        });
+
+        it('accounts different from owner cannot recover tokens or ETH', async function () {
+            await assertRevert(exchangeRate.recoverTokens(foreignToken.address, someoneElse, 100, { from: someoneElse }));
+            await assertRevert(exchangeRate.recoverEther(someoneElse, { from: someoneElse }));
+        });
+
+        it('owner can recover foreign tokens', async function () {
+            await checkRecoverTokens(exchangeRate, foreignToken, participants[0], 100);
+        });
+
+        it('owner can recover ETH forced into the contract', async function () {
+            await forceEther(exchangeRate.address);
+            await checkRecoverEther(exchangeRate, participants[0]);
+        });
+    });
+});
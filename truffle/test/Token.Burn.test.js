@@ -0,0 +1,146 @@
+/// @title  Token.Burn.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract burning unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token burning tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25); // participants in the second token sale
+
+    let token;
+
+    async function checkBurn(burn, address, amount) {
+        const eventLog1 = await expectEvent.inLogs(burn.logs, 'Burn');
+        assert.equal(eventLog1.args.burner.valueOf(), address);
+        eventLog1.args.amount.should.be.bignumber.equal(amount);
+        const eventLog2 = await expectEvent.inLogs(burn.logs, 'Transfer');
+        assert.equal(eventLog2.args.from.valueOf(), address);
+        assert.equal(eventLog2.args.to.valueOf(), 0x0);
+        eventLog2.args.value.should.be.bignumber.equal(amount);
+    }
+
+    async function assertedBurn(address, amount) {
+        const expectedBalance = (await token.balanceOf(address, { from: someoneElse })).minus(amount);
+        const expectedTotalSupply = (await token.totalSupply({ from: someoneElse })).minus(amount);
+        await checkBurn(await token.burn(amount, { from: address }), address, amount);
+        expectedBalance.should.be.bignumber.equal(await token.balanceOf(address, { from: someoneElse }));
+        expectedTotalSupply.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+    }
+
+    async function assertedBurnFrom(address, amount, spender) {
+        const expectedBalance = (await token.balanceOf(address, { from: someoneElse })).minus(amount);
+        const expectedTotalSupply = (await token.totalSupply({ from: someoneElse })).minus(amount);
+        const expectedAllowance = (await token.allowance(address, spender, { from: someoneElse })).minus(amount);
+        await checkBurn(await token.burnFrom(address, amount, { from: spender }), address, amount);
+        expectedBalance.should.be.bignumber.equal(await token.balanceOf(address, { from: someoneElse }));
+        expectedTotalSupply.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        expectedAllowance.should.be.bignumber.equal(await token.allowance(address, spender, { from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+        await token.lockAddress(participants[9], { from: locker });
+    });
+
+    describe('during the token sale', function () {
+        it('current token sale participants cannot burn tokens', async function () {
+            await assertRevert(token.burn(1, { from: participants[0] }));
+            await token.approve(someoneElse, 1, { from: participants[0] });
+            await assertRevert(token.burnFrom(participants[0], 1, { from: someoneElse }));
+        });
+    });
+
+    describe('after the token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        describe('burn', function () {
+            it('holder can burn part of its tokens', async function () {
+                await assertedBurn(participants[0], 40);
+            });
+
+            it('holder can burn all its tokens', async function () {
+                await assertedBurn(participants[0], 60);
+            });
+
+            it('cannot burn more tokens than the balance', async function () {
+                await assertRevert(token.burn(101, { from: participants[1] }));
+                await assertRevert(token.burn(1, { from: participants[0] }));
+            });
+
+            it('locked addresses cannot burn tokens', async function () {
+                await assertRevert(token.burn(1, { from: participants[9] }));
+            });
+        });
+
+        describe('burnFrom', function () {
+            it('spender can burn tokens within its allowance', async function () {
+                await token.approve(someoneElse, 50, { from: participants[1] });
+                await assertedBurnFrom(participants[1], 30, someoneElse);
+            });
+
+            it('spender cannot burn tokens beyond its allowance', async function () {
+                await assertRevert(token.burnFrom(participants[1], 21, { from: someoneElse }));
+            });
+
+            it('owner can burn an unsold allocation it was allowed to', async function () {
+                await token.approve(owner, 100, { from: participants[2] });
+                await assertedBurnFrom(participants[2], 100, owner);
+            });
+
+            it('cannot burn tokens from a locked address', async function () {
+                await token.approve(someoneElse, 1, { from: participants[9] });
+                await assertRevert(token.burnFrom(participants[9], 1, { from: someoneElse }));
+            });
+
+            it('locked spenders cannot burn tokens', async function () {
+                await token.approve(participants[9], 1, { from: participants[3] });
+                await assertRevert(token.burnFrom(participants[3], 1, { from: participants[9] }));
+            });
+        });
+    });
+
+    describe('during the next token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants2[0], 100, { from: assigner });
+        });
+
+        it('previous token sale participants can burn tokens', async function () {
+            await assertedBurn(participants[4], 1);
+        });
+
+        it('current token sale participants cannot burn tokens', async function () {
+            await assertRevert(token.burn(1, { from: participants2[0] }));
+        });
+
+        it('current token sale participants cannot burn tokens of others', async function () {
+            await token.approve(participants2[0], 1, { from: participants[4] });
+            await assertRevert(token.burnFrom(participants[4], 1, { from: participants2[0] }));
+        });
+
+        it('burned tokens can be minted again', async function () {
+            const totalSupply = await token.totalSupply({ from: someoneElse });
+            await token.mint(participants2[1], 1, { from: assigner });
+            totalSupply.plus(1).should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+    });
+});
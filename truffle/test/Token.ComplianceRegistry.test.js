@@ -0,0 +1,161 @@
+/// @title  Token.ComplianceRegistry.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract external compliance registry unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const ComplianceRegistry = artifacts.require('../contracts/ComplianceRegistry.sol');
+
+contract('Token compliance registry tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const verifier = accounts[26];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const dataHash = web3.sha3('KYC documentation');
+
+    const SUCCESS_CODE = 0;
+    const SENDER_NOT_VERIFIED_CODE = 7;
+    const RECIPIENT_NOT_VERIFIED_CODE = 8;
+
+    let token;
+    let registry;
+
+    async function checkRestriction(from, to, expectedCode) {
+        const code = await token.detectTransferRestriction(from, to, 1, { from: someoneElse });
+        code.should.be.bignumber.equal(expectedCode);
+    }
+
+    before(async function () {
+        registry = await ComplianceRegistry.new({ from: owner });
+        await registry.addVerifier(verifier, { from: owner });
+    });
+
+    describe('setting the compliance registry', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+        });
+
+        it('no compliance registry is set initially', async function () {
+            assert.equal(await token.complianceRegistry.call({ from: someoneElse }), 0x0);
+        });
+
+        it('accounts different from owner cannot set the compliance registry', async function () {
+            await assertRevert(token.setComplianceRegistry(registry.address, { from: someoneElse }));
+        });
+
+        it('owner can set the compliance registry', async function () {
+            const setComplianceRegistry = await token.setComplianceRegistry(registry.address, { from: owner });
+            const eventLog = await expectEvent.inLogs(setComplianceRegistry.logs, 'ComplianceRegistryChanged');
+            assert.equal(eventLog.args.previousRegistry.valueOf(), 0x0);
+            assert.equal(eventLog.args.newRegistry.valueOf(), registry.address);
+            assert.equal(await token.complianceRegistry.call({ from: someoneElse }), registry.address);
+        });
+
+        it('owner can unset the compliance registry', async function () {
+            await token.setComplianceRegistry(0x0, { from: owner });
+            assert.equal(await token.complianceRegistry.call({ from: someoneElse }), 0x0);
+        });
+
+        it('not verified restriction codes have a message', async function () {
+            assert.equal(await token.messageForTransferRestriction(SENDER_NOT_VERIFIED_CODE), 'Sender not verified in compliance registry');
+            assert.equal(await token.messageForTransferRestriction(RECIPIENT_NOT_VERIFIED_CODE), 'Recipient not verified in compliance registry');
+        });
+    });
+
+    describe('without compliance registry', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('any address can be minted tokens', async function () {
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.assign(participants[1], 100, { from: assigner });
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('any address can send and receive tokens', async function () {
+            await checkRestriction(participants[0], someoneElse, SUCCESS_CODE);
+            await token.transfer(someoneElse, 1, { from: participants[0] });
+            await token.approve(someoneElse, 1, { from: participants[1] });
+            await token.transferFrom(participants[1], someoneElse, 1, { from: someoneElse });
+            '2'.should.be.bignumber.equal(await token.balanceOf(someoneElse, { from: someoneElse }));
+        });
+    });
+
+    describe('with compliance registry', function () {
+        let expiry;
+
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.setComplianceRegistry(registry.address, { from: owner });
+            expiry = latestTime() + duration.days(30);
+            await registry.addInvestorsInBatches(participants.slice(0, 3), [expiry, expiry, expiry], [dataHash, dataHash, dataHash], { from: verifier });
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('verified investors can be minted tokens', async function () {
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.assign(participants[1], 100, { from: assigner });
+        });
+
+        it('not verified addresses cannot be minted tokens', async function () {
+            await assertRevert(token.mint(participants[5], 100, { from: assigner }));
+            await assertRevert(token.assign(participants[5], 100, { from: assigner }));
+            await assertRevert(token.mintInBatches([participants[2], participants[5]], [1, 1], { from: assigner }));
+            '200'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('verified investors can send tokens to each other', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            await checkRestriction(participants[0], participants[2], SUCCESS_CODE);
+            await token.transfer(participants[2], 1, { from: participants[0] });
+            await token.approve(someoneElse, 1, { from: participants[1] });
+            await token.transferFrom(participants[1], participants[2], 1, { from: someoneElse });
+            '2'.should.be.bignumber.equal(await token.balanceOf(participants[2], { from: someoneElse }));
+        });
+
+        it('cannot send tokens to not verified addresses', async function () {
+            await checkRestriction(participants[0], someoneElse, RECIPIENT_NOT_VERIFIED_CODE);
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[0] }));
+            await token.approve(participants[2], 1, { from: participants[1] });
+            await assertRevert(token.transferFrom(participants[1], someoneElse, 1, { from: participants[2] }));
+        });
+
+        it('verified investors can burn tokens', async function () {
+            await token.burn(1, { from: participants[2] });
+        });
+
+        it('investors removed from the registry cannot send tokens', async function () {
+            await registry.removeInvestor(participants[2], { from: verifier });
+            await checkRestriction(participants[2], participants[0], SENDER_NOT_VERIFIED_CODE);
+            await assertRevert(token.transfer(participants[0], 1, { from: participants[2] }));
+        });
+
+        it('investors whose verification expired cannot send tokens', async function () {
+            await increaseTime.increaseTimeTo(expiry + duration.seconds(1));
+            await checkRestriction(participants[0], participants[1], SENDER_NOT_VERIFIED_CODE);
+            await checkRestriction(participants[1], participants[0], SENDER_NOT_VERIFIED_CODE);
+            await assertRevert(token.transfer(participants[1], 1, { from: participants[0] }));
+        });
+
+        it('renewed investors can send tokens again', async function () {
+            await registry.addInvestorsInBatches(participants.slice(0, 2), [expiry + duration.days(30), expiry + duration.days(30)], [dataHash, dataHash], { from: verifier });
+            await token.transfer(participants[1], 1, { from: participants[0] });
+        });
+    });
+});
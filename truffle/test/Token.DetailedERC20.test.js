@@ -15,7 +15,7 @@ contract('Token', accounts => {
     let detailedERC20 = null;
 
     beforeEach(async function () {
-        detailedERC20 = await TokenContract.new(accounts[0], accounts[1]);
+        detailedERC20 = await TokenContract.new(accounts[0], accounts[1], accounts[2]);
     });
 
     it('has a name', async function () {
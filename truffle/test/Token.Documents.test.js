@@ -0,0 +1,146 @@
+/// @title  Token.Documents.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract ERC-1643 document registry unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token document registry tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+
+    function toBytes32(text) {
+        const hex = web3.fromUtf8(text);
+        return hex + '0'.repeat(66 - hex.length);
+    }
+
+    const noHash = '0x' + '0'.repeat(64);
+    const prospectus = toBytes32('prospectus');
+    const termsSheet = toBytes32('terms sheet');
+    const kycPolicy = toBytes32('KYC policy');
+    const prospectusUri = 'https://example.com/prospectus-v1.pdf';
+    const prospectusHash = web3.sha3('Prospectus v1');
+    const prospectusV2Uri = 'https://example.com/prospectus-v2.pdf';
+    const prospectusV2Hash = web3.sha3('Prospectus v2');
+    const termsSheetUri = 'https://example.com/terms-sheet.pdf';
+    const termsSheetHash = web3.sha3('Terms sheet');
+    const kycPolicyUri = 'https://example.com/kyc-policy.pdf';
+    const kycPolicyHash = web3.sha3('KYC policy');
+
+    let token;
+
+    async function checkDocument(name, expectedUri, expectedHash, expectedLastModified) {
+        const [uri, documentHash, lastModified] = await token.getDocument(name, { from: someoneElse });
+        assert.equal(uri, expectedUri);
+        assert.equal(documentHash, expectedHash);
+        lastModified.should.be.bignumber.equal(expectedLastModified);
+    }
+
+    async function checkAllDocuments(expectedNames) {
+        assert.deepEqual(await token.getAllDocuments({ from: someoneElse }), expectedNames);
+    }
+
+    async function checkSetDocument(name, uri, documentHash) {
+        const setDocument = await token.setDocument(name, uri, documentHash, { from: owner });
+        const eventLog = await expectEvent.inLogs(setDocument.logs, 'DocumentUpdated');
+        assert.equal(eventLog.args._name, name);
+        assert.equal(eventLog.args._uri, uri);
+        assert.equal(eventLog.args._documentHash, documentHash);
+        await checkDocument(name, uri, documentHash, latestTime());
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+    });
+
+    describe('setting documents', function () {
+        it('there are no documents initially', async function () {
+            await checkAllDocuments([]);
+            await checkDocument(prospectus, '', noHash, 0);
+        });
+
+        it('accounts different from owner cannot set documents', async function () {
+            await assertRevert(token.setDocument(prospectus, prospectusUri, prospectusHash, { from: someoneElse }));
+            await assertRevert(token.setDocument(prospectus, prospectusUri, prospectusHash, { from: locker }));
+        });
+
+        it('cannot set a document without name or URI', async function () {
+            await assertRevert(token.setDocument(0x0, prospectusUri, prospectusHash, { from: owner }));
+            await assertRevert(token.setDocument(prospectus, '', prospectusHash, { from: owner }));
+        });
+
+        it('owner can set documents', async function () {
+            await checkSetDocument(prospectus, prospectusUri, prospectusHash);
+            await checkSetDocument(termsSheet, termsSheetUri, termsSheetHash);
+            await checkSetDocument(kycPolicy, kycPolicyUri, kycPolicyHash);
+            await checkAllDocuments([prospectus, termsSheet, kycPolicy]);
+        });
+
+        it('the version of each document is recorded for the current token sale', async function () {
+            assert.equal(await token.tokenSaleDocumentHash(prospectus, 0, { from: someoneElse }), prospectusHash);
+            assert.equal(await token.tokenSaleDocumentHash(prospectus, 1, { from: someoneElse }), noHash);
+        });
+
+        it('owner can set a new version of a document during a token sale', async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await checkSetDocument(prospectus, prospectusV2Uri, prospectusV2Hash);
+            await checkAllDocuments([prospectus, termsSheet, kycPolicy]);
+            assert.equal(await token.tokenSaleDocumentHash(prospectus, 0, { from: someoneElse }), prospectusHash);
+            assert.equal(await token.tokenSaleDocumentHash(prospectus, 1, { from: someoneElse }), prospectusV2Hash);
+        });
+    });
+
+    describe('removing documents', function () {
+        it('accounts different from owner cannot remove documents', async function () {
+            await assertRevert(token.removeDocument(termsSheet, { from: someoneElse }));
+        });
+
+        it('cannot remove a document which is not registered', async function () {
+            await assertRevert(token.removeDocument(toBytes32('whitepaper'), { from: owner }));
+        });
+
+        it('owner can remove a document', async function () {
+            const removeDocument = await token.removeDocument(termsSheet, { from: owner });
+            const eventLog = await expectEvent.inLogs(removeDocument.logs, 'DocumentRemoved');
+            assert.equal(eventLog.args._name, termsSheet);
+            assert.equal(eventLog.args._uri, termsSheetUri);
+            assert.equal(eventLog.args._documentHash, termsSheetHash);
+
+            await checkDocument(termsSheet, '', noHash, 0);
+            await checkAllDocuments([prospectus, kycPolicy]);
+            const [uri, documentHash] = await token.getDocument(kycPolicy, { from: someoneElse });
+            assert.equal(uri, kycPolicyUri);
+            assert.equal(documentHash, kycPolicyHash);
+        });
+
+        it('the versions recorded for the token sales are kept', async function () {
+            assert.equal(await token.tokenSaleDocumentHash(termsSheet, 0, { from: someoneElse }), termsSheetHash);
+        });
+
+        it('cannot remove a document twice', async function () {
+            await assertRevert(token.removeDocument(termsSheet, { from: owner }));
+        });
+
+        it('owner can remove the last document and set it again', async function () {
+            await token.removeDocument(kycPolicy, { from: owner });
+            await checkAllDocuments([prospectus]);
+            await token.removeDocument(prospectus, { from: owner });
+            await checkAllDocuments([]);
+
+            await checkSetDocument(kycPolicy, kycPolicyUri, kycPolicyHash);
+            await checkAllDocuments([kycPolicy]);
+        });
+    });
+});
@@ -0,0 +1,136 @@
+/// @title  Token.ForceTransfer.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract controller forced transfers unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token forced transfer tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const controller = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const reason = web3.fromUtf8('Court order #1234');
+
+    let token;
+
+    async function assertedForceTransfer(from, to, amount, sender) {
+        const expectedBalanceFrom = (await token.balanceOf(from, { from: someoneElse })).minus(amount);
+        const expectedBalanceTo = (await token.balanceOf(to, { from: someoneElse })).plus(amount);
+        const expectedTotalSupply = await token.totalSupply({ from: someoneElse });
+
+        const forceTransfer = await token.forceTransfer(from, to, amount, reason, { from: sender });
+
+        const eventLog1 = await expectEvent.inLogs(forceTransfer.logs, 'ControllerTransfer');
+        assert.equal(eventLog1.args.controller.valueOf(), sender);
+        assert.equal(eventLog1.args.from.valueOf(), from);
+        assert.equal(eventLog1.args.to.valueOf(), to);
+        eventLog1.args.value.should.be.bignumber.equal(amount);
+        assert.equal(eventLog1.args.reason.valueOf(), reason);
+        const eventLog2 = await expectEvent.inLogs(forceTransfer.logs, 'Transfer');
+        assert.equal(eventLog2.args.from.valueOf(), from);
+        assert.equal(eventLog2.args.to.valueOf(), to);
+        eventLog2.args.value.should.be.bignumber.equal(amount);
+
+        expectedBalanceFrom.should.be.bignumber.equal(await token.balanceOf(from, { from: someoneElse }));
+        expectedBalanceTo.should.be.bignumber.equal(await token.balanceOf(to, { from: someoneElse }));
+        expectedTotalSupply.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+        await token.lockAddress(participants[0], { from: locker });
+    });
+
+    describe('controller', function () {
+        it('no controller is set initially', async function () {
+            assert.equal(await token.controller.call({ from: someoneElse }), 0x0);
+            assert.equal(await token.controllable.call({ from: someoneElse }), true);
+        });
+
+        it('accounts different from owner cannot change the controller', async function () {
+            await assertRevert(token.transferController(controller, { from: someoneElse }));
+        });
+
+        it('owner can change the controller', async function () {
+            const transferController = await token.transferController(controller, { from: owner });
+            const eventLog = await expectEvent.inLogs(transferController.logs, 'ControllerTransferred');
+            assert.equal(eventLog.args.previousController.valueOf(), 0x0);
+            assert.equal(eventLog.args.newController.valueOf(), controller);
+            assert.equal(await token.controller.call({ from: someoneElse }), controller);
+        });
+    });
+
+    describe('forcing transfers', function () {
+        it('accounts different from owner and controller cannot force transfers', async function () {
+            await assertRevert(token.forceTransfer(participants[1], someoneElse, 1, reason, { from: assigner }));
+            await assertRevert(token.forceTransfer(participants[1], someoneElse, 1, reason, { from: participants[1] }));
+        });
+
+        it('controller can force transfers during the token sale', async function () {
+            await assertedForceTransfer(participants[1], participants[2], 10, controller);
+        });
+
+        it('owner can force transfers', async function () {
+            await assertedForceTransfer(participants[1], someoneElse, 10, owner);
+        });
+
+        it('transfers from locked addresses can be forced', async function () {
+            await assertedForceTransfer(participants[0], someoneElse, 100, controller);
+        });
+
+        it('transfers can be forced while paused', async function () {
+            await token.pause({ from: pauser });
+            await assertedForceTransfer(participants[3], someoneElse, 1, controller);
+            await token.unpause({ from: pauser });
+        });
+
+        it('cannot force transfers of more tokens than the balance', async function () {
+            await assertRevert(token.forceTransfer(participants[4], someoneElse, 101, reason, { from: controller }));
+        });
+
+        it('cannot force transfers to 0x0', async function () {
+            await assertRevert(token.forceTransfer(participants[4], 0x0, 1, reason, { from: controller }));
+        });
+
+        it('previous controller cannot force transfers', async function () {
+            await token.transferController(0x0, { from: owner });
+            await assertRevert(token.forceTransfer(participants[4], someoneElse, 1, reason, { from: controller }));
+            await token.transferController(controller, { from: owner });
+        });
+    });
+
+    describe('renouncing control', function () {
+        it('accounts different from owner cannot renounce control', async function () {
+            await assertRevert(token.renounceControl({ from: controller }));
+        });
+
+        it('owner can renounce control', async function () {
+            const renounceControl = await token.renounceControl({ from: owner });
+            await expectEvent.inLogs(renounceControl.logs, 'ControlRenounced');
+            assert.equal(await token.controllable.call({ from: someoneElse }), false);
+        });
+
+        it('transfers can no longer be forced', async function () {
+            await assertRevert(token.forceTransfer(participants[4], someoneElse, 1, reason, { from: controller }));
+            await assertRevert(token.forceTransfer(participants[4], someoneElse, 1, reason, { from: owner }));
+        });
+
+        it('cannot renounce control twice', async function () {
+            await assertRevert(token.renounceControl({ from: owner }));
+        });
+    });
+});
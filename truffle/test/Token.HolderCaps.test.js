@@ -0,0 +1,212 @@
+/// @title  Token.HolderCaps.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract balance and holder caps unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token balance and holder caps tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+
+    const SUCCESS_CODE = 0;
+    const RECIPIENT_MAX_BALANCE_CODE = 9;
+    const MAX_HOLDERS_CODE = 10;
+
+    let token;
+
+    async function checkRestriction(from, to, value, expectedCode) {
+        expectedCode.should.be.bignumber.equal(await token.detectTransferRestriction(from, to, value, { from: someoneElse }));
+    }
+
+    async function checkHolderCount(expectedCount) {
+        expectedCount.should.be.bignumber.equal(await token.holderCount({ from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+    });
+
+    describe('restriction codes and messages', function () {
+        it('check value of restriction code constants in smart contract', async function () {
+            RECIPIENT_MAX_BALANCE_CODE.should.be.bignumber.equal(await token.RECIPIENT_MAX_BALANCE_CODE.call());
+            MAX_HOLDERS_CODE.should.be.bignumber.equal(await token.MAX_HOLDERS_CODE.call());
+        });
+
+        it('every restriction code has a message', async function () {
+            assert.equal(await token.messageForTransferRestriction(RECIPIENT_MAX_BALANCE_CODE), 'Recipient balance would exceed maximum balance');
+            assert.equal(await token.messageForTransferRestriction(MAX_HOLDERS_CODE), 'Maximum number of token holders reached');
+        });
+    });
+
+    describe('setting the caps', function () {
+        it('there are no caps initially', async function () {
+            '0'.should.be.bignumber.equal(await token.maxBalance({ from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.maxHolders({ from: someoneElse }));
+            await checkHolderCount(0);
+        });
+
+        it('accounts different from owner cannot set the caps or exempt addresses', async function () {
+            await assertRevert(token.setMaxBalance(150, { from: someoneElse }));
+            await assertRevert(token.setMaxHolders(3, { from: assigner }));
+            await assertRevert(token.addHolderCapsExemption(participants[3], { from: locker }));
+        });
+
+        it('owner can set the maximum balance', async function () {
+            const setMaxBalance = await token.setMaxBalance(150, { from: owner });
+            const eventLog = await expectEvent.inLogs(setMaxBalance.logs, 'MaxBalanceChanged');
+            eventLog.args.previousMaxBalance.should.be.bignumber.equal(0);
+            eventLog.args.newMaxBalance.should.be.bignumber.equal(150);
+            '150'.should.be.bignumber.equal(await token.maxBalance({ from: someoneElse }));
+        });
+
+        it('cannot exempt address 0x0', async function () {
+            await assertRevert(token.addHolderCapsExemption(0x0, { from: owner }));
+        });
+
+        it('owner can exempt an address', async function () {
+            const addExemption = await token.addHolderCapsExemption(participants[3], { from: owner });
+            const eventLog = await expectEvent.inLogs(addExemption.logs, 'HolderCapsExemptionAdded');
+            assert.equal(eventLog.args.addr.valueOf(), participants[3]);
+            assert.equal(await token.holderCapsExempt(participants[3], { from: someoneElse }), true);
+        });
+
+        it('cannot exempt an address twice', async function () {
+            await assertRevert(token.addHolderCapsExemption(participants[3], { from: owner }));
+        });
+
+        it('cannot remove the exemption of an address which is not exempt', async function () {
+            await assertRevert(token.removeHolderCapsExemption(participants[0], { from: owner }));
+        });
+    });
+
+    describe('during the token sale', function () {
+        it('holders are counted when minting', async function () {
+            await token.mintInBatches(participants.slice(0, 3), [100, 100, 100], { from: assigner });
+            await checkHolderCount(3);
+        });
+
+        it('cannot mint above the maximum balance', async function () {
+            await assertRevert(token.mint(participants[0], 51, { from: assigner }));
+            await token.mint(participants[0], 50, { from: assigner });
+        });
+
+        it('cannot set the maximum number of holders below the current number of holders', async function () {
+            await assertRevert(token.setMaxHolders(2, { from: owner }));
+        });
+
+        it('owner can set the maximum number of holders', async function () {
+            const setMaxHolders = await token.setMaxHolders(3, { from: owner });
+            const eventLog = await expectEvent.inLogs(setMaxHolders.logs, 'MaxHoldersChanged');
+            eventLog.args.previousMaxHolders.should.be.bignumber.equal(0);
+            eventLog.args.newMaxHolders.should.be.bignumber.equal(3);
+        });
+
+        it('cannot mint to a new holder above the maximum number of holders', async function () {
+            await assertRevert(token.mint(participants[4], 1, { from: assigner }));
+        });
+
+        it('exempt addresses can be minted tokens above the caps and are counted as holders', async function () {
+            await token.mint(participants[3], 500, { from: assigner });
+            await checkHolderCount(4);
+        });
+
+        it('cannot assign above the maximum balance', async function () {
+            await assertRevert(token.assign(participants[1], 151, { from: assigner }));
+        });
+
+        it('assigning 0 tokens removes the holder', async function () {
+            await token.assign(participants[1], 0, { from: assigner });
+            await checkHolderCount(3);
+        });
+
+        it('cannot assign to a new holder above the maximum number of holders', async function () {
+            await assertRevert(token.assign(participants[4], 10, { from: assigner }));
+        });
+
+        it('unminting all tokens removes the holder', async function () {
+            await token.unmint(participants[2], 100, { from: assigner });
+            await checkHolderCount(2);
+            await token.mint(participants[2], 100, { from: assigner });
+            await checkHolderCount(3);
+        });
+    });
+
+    describe('after the token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('cannot transfer to a new holder above the maximum number of holders', async function () {
+            await checkRestriction(participants[0], participants[5], 1, MAX_HOLDERS_CODE);
+            await assertRevert(token.transfer(participants[5], 1, { from: participants[0] }));
+        });
+
+        it('cannot transfer above the maximum balance of the recipient', async function () {
+            await checkRestriction(participants[2], participants[0], 1, RECIPIENT_MAX_BALANCE_CODE);
+            await assertRevert(token.transfer(participants[0], 1, { from: participants[2] }));
+        });
+
+        it('cannot transferFrom above the maximum balance of the recipient', async function () {
+            await token.approve(someoneElse, 10, { from: participants[2] });
+            await assertRevert(token.transferFrom(participants[2], participants[0], 1, { from: someoneElse }));
+        });
+
+        it('can transfer to itself', async function () {
+            await checkRestriction(participants[0], participants[0], 1, SUCCESS_CODE);
+            await token.transfer(participants[0], 1, { from: participants[0] });
+            '150'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+        });
+
+        it('can transfer the whole balance to a new holder at the maximum number of holders', async function () {
+            await checkRestriction(participants[2], participants[5], 100, SUCCESS_CODE);
+            await token.transfer(participants[5], 100, { from: participants[2] });
+            await checkHolderCount(3);
+        });
+
+        it('can transfer to exempt addresses above the maximum balance', async function () {
+            await token.transfer(participants[3], 100, { from: participants[0] });
+            '600'.should.be.bignumber.equal(await token.balanceOf(participants[3], { from: someoneElse }));
+        });
+
+        it('forced transfers ignore the caps', async function () {
+            await token.forceTransfer(participants[3], participants[6], 200, '0x', { from: owner });
+            await checkHolderCount(4);
+        });
+
+        it('burning all tokens removes the holder', async function () {
+            await token.burn(200, { from: participants[6] });
+            await checkHolderCount(3);
+        });
+
+        it('owner can remove the exemption of an address', async function () {
+            const removeExemption = await token.removeHolderCapsExemption(participants[3], { from: owner });
+            const eventLog = await expectEvent.inLogs(removeExemption.logs, 'HolderCapsExemptionRemoved');
+            assert.equal(eventLog.args.addr.valueOf(), participants[3]);
+            assert.equal(await token.holderCapsExempt(participants[3], { from: someoneElse }), false);
+            await checkRestriction(participants[0], participants[3], 1, RECIPIENT_MAX_BALANCE_CODE);
+        });
+
+        it('owner can remove the caps', async function () {
+            await token.setMaxBalance(0, { from: owner });
+            await token.setMaxHolders(0, { from: owner });
+            await checkRestriction(participants[0], participants[3], 1, SUCCESS_CODE);
+            await checkRestriction(participants[0], participants[7], 1, SUCCESS_CODE);
+            await token.transfer(participants[7], 1, { from: participants[0] });
+            await checkHolderCount(4);
+        });
+    });
+});
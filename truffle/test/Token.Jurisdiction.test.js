@@ -0,0 +1,190 @@
+/// @title  Token.Jurisdiction.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract jurisdiction tagging and blocking unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token jurisdiction tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const batch = participants.slice(4, 7);
+
+    const US = web3.fromUtf8('US');
+    const SG = web3.fromUtf8('SG');
+    const NONE = '0x0000';
+
+    const SUCCESS_CODE = 0;
+    const SENDER_JURISDICTION_BLOCKED_CODE = 11;
+    const RECIPIENT_JURISDICTION_BLOCKED_CODE = 12;
+
+    let token;
+
+    async function checkRestriction(from, to, expectedCode) {
+        expectedCode.should.be.bignumber.equal(await token.detectTransferRestriction(from, to, 1, { from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+    });
+
+    describe('restriction codes and messages', function () {
+        it('check value of restriction code constants in smart contract', async function () {
+            SENDER_JURISDICTION_BLOCKED_CODE.should.be.bignumber.equal(await token.SENDER_JURISDICTION_BLOCKED_CODE.call());
+            RECIPIENT_JURISDICTION_BLOCKED_CODE.should.be.bignumber.equal(await token.RECIPIENT_JURISDICTION_BLOCKED_CODE.call());
+        });
+
+        it('every restriction code has a message', async function () {
+            assert.equal(await token.messageForTransferRestriction(SENDER_JURISDICTION_BLOCKED_CODE), 'Sender jurisdiction blocked');
+            assert.equal(await token.messageForTransferRestriction(RECIPIENT_JURISDICTION_BLOCKED_CODE), 'Recipient jurisdiction blocked');
+        });
+    });
+
+    describe('tagging addresses', function () {
+        it('addresses are not tagged initially', async function () {
+            assert.equal(await token.jurisdiction(participants[0], { from: someoneElse }), NONE);
+        });
+
+        it('accounts different from locker cannot tag addresses', async function () {
+            await assertRevert(token.setJurisdiction(participants[0], US, { from: someoneElse }));
+            await assertRevert(token.setJurisdictionInBatches([participants[0]], US, { from: owner }));
+        });
+
+        it('cannot tag address 0x0', async function () {
+            await assertRevert(token.setJurisdiction(0x0, US, { from: locker }));
+        });
+
+        it('locker can tag an address, even outside a token sale', async function () {
+            const setJurisdiction = await token.setJurisdiction(participants[0], SG, { from: locker });
+            const eventLog = await expectEvent.inLogs(setJurisdiction.logs, 'JurisdictionSet');
+            assert.equal(eventLog.args.addr.valueOf(), participants[0]);
+            assert.equal(eventLog.args.jurisdiction, SG);
+            assert.equal(await token.jurisdiction(participants[0], { from: someoneElse }), SG);
+        });
+
+        it('locker can remove the tag of an address', async function () {
+            await token.setJurisdiction(participants[0], NONE, { from: locker });
+            assert.equal(await token.jurisdiction(participants[0], { from: someoneElse }), NONE);
+        });
+
+        describe('tagging in batches', function () {
+            it('cannot tag a batch of length 0', async function () {
+                await assertRevert(token.setJurisdictionInBatches([], US, { from: locker }));
+            });
+
+            it('cannot tag in batches larger than the maximum allowed', async function () {
+                const maxBatchSize = (await token.MAX_BATCH_SIZE.call({ from: someoneElse })).toNumber();
+                const largeBatch = Array(maxBatchSize + 1).fill(batch[0]);
+                await assertRevert(token.setJurisdictionInBatches(largeBatch, US, { from: locker }));
+            });
+
+            it('locker can tag addresses in batches', async function () {
+                await token.setJurisdictionInBatches(batch, US, { from: locker });
+                for (let i = 0; i < batch.length; i++) {
+                    assert.equal(await token.jurisdiction(batch[i], { from: someoneElse }), US);
+                }
+            });
+        });
+    });
+
+    describe('blocking jurisdictions', function () {
+        it('accounts different from owner cannot block or unblock jurisdictions', async function () {
+            await assertRevert(token.blockJurisdiction(US, { from: locker }));
+            await assertRevert(token.unblockJurisdiction(US, { from: someoneElse }));
+        });
+
+        it('cannot block the jurisdiction of untagged addresses', async function () {
+            await assertRevert(token.blockJurisdiction(NONE, { from: owner }));
+        });
+
+        it('cannot unblock a jurisdiction which is not blocked', async function () {
+            await assertRevert(token.unblockJurisdiction(US, { from: owner }));
+        });
+
+        it('owner can block a jurisdiction', async function () {
+            const blockJurisdiction = await token.blockJurisdiction(US, { from: owner });
+            const eventLog = await expectEvent.inLogs(blockJurisdiction.logs, 'JurisdictionBlocked');
+            assert.equal(eventLog.args.jurisdiction, US);
+            assert.equal(await token.blockedJurisdiction(US, { from: someoneElse }), true);
+            assert.equal(await token.blockedJurisdiction(SG, { from: someoneElse }), false);
+        });
+
+        it('cannot block a jurisdiction twice', async function () {
+            await assertRevert(token.blockJurisdiction(US, { from: owner }));
+        });
+    });
+
+    describe('during the token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('cannot mint to addresses tagged with a blocked jurisdiction', async function () {
+            await assertRevert(token.mint(batch[0], 100, { from: assigner }));
+            await assertRevert(token.mintInBatches(batch, batch.map(() => 100), { from: assigner }));
+        });
+
+        it('cannot assign to addresses tagged with a blocked jurisdiction', async function () {
+            await assertRevert(token.assign(batch[0], 100, { from: assigner }));
+        });
+
+        it('can mint and assign to addresses tagged with other jurisdictions or untagged', async function () {
+            await token.setJurisdiction(participants[1], SG, { from: locker });
+            await token.mintInBatches(participants.slice(0, 3), [100, 100, 100], { from: assigner });
+            await token.assign(participants[3], 100, { from: assigner });
+        });
+    });
+
+    describe('after the token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('can transfer between addresses tagged with other jurisdictions or untagged', async function () {
+            await checkRestriction(participants[0], participants[1], SUCCESS_CODE);
+            await token.transfer(participants[1], 1, { from: participants[0] });
+        });
+
+        it('cannot transfer to addresses tagged with a blocked jurisdiction', async function () {
+            await checkRestriction(participants[0], batch[0], RECIPIENT_JURISDICTION_BLOCKED_CODE);
+            await assertRevert(token.transfer(batch[0], 1, { from: participants[0] }));
+        });
+
+        it('cannot transfer from addresses tagged with a blocked jurisdiction', async function () {
+            await token.setJurisdiction(participants[2], US, { from: locker });
+            await checkRestriction(participants[2], participants[0], SENDER_JURISDICTION_BLOCKED_CODE);
+            await assertRevert(token.transfer(participants[0], 1, { from: participants[2] }));
+        });
+
+        it('cannot transferFrom to or from addresses tagged with a blocked jurisdiction', async function () {
+            await token.approve(someoneElse, 10, { from: participants[2] });
+            await token.approve(someoneElse, 10, { from: participants[3] });
+            await assertRevert(token.transferFrom(participants[2], participants[0], 1, { from: someoneElse }));
+            await assertRevert(token.transferFrom(participants[3], batch[0], 1, { from: someoneElse }));
+            await token.transferFrom(participants[3], participants[0], 1, { from: someoneElse });
+        });
+
+        it('owner can unblock a jurisdiction', async function () {
+            const unblockJurisdiction = await token.unblockJurisdiction(US, { from: owner });
+            const eventLog = await expectEvent.inLogs(unblockJurisdiction.logs, 'JurisdictionUnblocked');
+            assert.equal(eventLog.args.jurisdiction, US);
+            assert.equal(await token.blockedJurisdiction(US, { from: someoneElse }), false);
+
+            await checkRestriction(participants[2], batch[0], SUCCESS_CODE);
+            await token.transfer(batch[0], 1, { from: participants[2] });
+            '1'.should.be.bignumber.equal(await token.balanceOf(batch[0], { from: someoneElse }));
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/// @title  Token.LockAmount.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract partial amount locks unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token partial amount locks tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const batch = participants.slice(4, 7);
+
+    let token;
+
+    async function checkBalances(address, expectedLocked, expectedTransferable) {
+        expectedLocked.should.be.bignumber.equal(await token.lockedBalanceOf(address, { from: someoneElse }));
+        expectedTransferable.should.be.bignumber.equal(await token.transferableBalanceOf(address, { from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+    });
+
+    describe('during the token sale', function () {
+        it('accounts different from locker cannot lock amounts', async function () {
+            await assertRevert(token.lockAmount(participants[0], 60, { from: someoneElse }));
+            await assertRevert(token.lockAmountInBatches([participants[0]], [60], { from: owner }));
+        });
+
+        it('cannot lock an amount of an address that has not participated in the token sale', async function () {
+            await assertRevert(token.lockAmount(someoneElse, 60, { from: locker }));
+        });
+
+        it('cannot lock an amount of 0 tokens', async function () {
+            await assertRevert(token.lockAmount(participants[0], 0, { from: locker }));
+        });
+
+        it('nothing is locked initially', async function () {
+            await checkBalances(participants[0], 0, 100);
+        });
+
+        it('lock an amount of tokens', async function () {
+            const lock = await token.lockAmount(participants[0], 70, { from: locker });
+            const eventLog = await expectEvent.inLogs(lock.logs, 'LockAmount');
+            assert.equal(eventLog.args.addr.valueOf(), participants[0]);
+            eventLog.args.amount.should.be.bignumber.equal(70);
+
+            '70'.should.be.bignumber.equal(await token.lockedAmount(participants[0], { from: someoneElse }));
+            await checkBalances(participants[0], 70, 30);
+            assert.equal(await token.isLocked(participants[0], { from: someoneElse }), false);
+        });
+
+        it('locking an amount again replaces the previous amount', async function () {
+            await token.lockAmount(participants[0], 60, { from: locker });
+            await checkBalances(participants[0], 60, 40);
+        });
+
+        it('addresses locked as a whole have their whole balance locked', async function () {
+            await token.lockAmount(participants[1], 10, { from: locker });
+            await token.lockAddress(participants[1], { from: locker });
+            await checkBalances(participants[1], 100, 0);
+        });
+
+        describe('locking amounts in batches', function () {
+            it('cannot lock a batch of length 0', async function () {
+                await assertRevert(token.lockAmountInBatches([], [], { from: locker }));
+            });
+
+            it('cannot lock a batch if number of addresses is not equal to number of amounts', async function () {
+                await assertRevert(token.lockAmountInBatches(batch, [10, 20], { from: locker }));
+            });
+
+            it('cannot lock in batches larger than the maximum allowed', async function () {
+                const maxBatchSize = (await token.MAX_BATCH_SIZE.call({ from: someoneElse })).toNumber();
+                const largeBatch = Array(maxBatchSize + 1).fill(batch[0]);
+                await assertRevert(token.lockAmountInBatches(largeBatch, largeBatch.map(() => 10), { from: locker }));
+            });
+
+            it('lock amounts in batches', async function () {
+                await token.lockAmountInBatches(batch, [10, 20, 30], { from: locker });
+                await checkBalances(batch[0], 10, 90);
+                await checkBalances(batch[1], 20, 80);
+                await checkBalances(batch[2], 30, 70);
+            });
+        });
+    });
+
+    describe('after the token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('cannot lock amounts if a token sale is not ongoing', async function () {
+            await assertRevert(token.lockAmount(participants[2], 10, { from: locker }));
+        });
+
+        it('only tokens not locked can be transferred', async function () {
+            const SENDER_LOCKED_CODE = await token.SENDER_LOCKED_CODE.call({ from: someoneElse });
+            SENDER_LOCKED_CODE.should.be.bignumber.equal(
+                await token.detectTransferRestriction(participants[0], someoneElse, 41, { from: someoneElse }));
+            await assertRevert(token.transfer(someoneElse, 41, { from: participants[0] }));
+            await token.transfer(someoneElse, 30, { from: participants[0] });
+            await checkBalances(participants[0], 60, 10);
+        });
+
+        it('spenders can only transfer tokens not locked', async function () {
+            await token.approve(someoneElse, 20, { from: participants[0] });
+            await assertRevert(token.transferFrom(participants[0], someoneElse, 11, { from: someoneElse }));
+            await token.transferFrom(participants[0], someoneElse, 10, { from: someoneElse });
+            await checkBalances(participants[0], 60, 0);
+        });
+
+        it('only tokens not locked can be burned', async function () {
+            await assertRevert(token.burn(1, { from: participants[0] }));
+            await token.burn(10, { from: batch[0] });
+            await checkBalances(batch[0], 10, 80);
+        });
+
+        it('tokens received after locking can be transferred', async function () {
+            await token.transfer(participants[0], 50, { from: participants[2] });
+            await checkBalances(participants[0], 60, 50);
+            await token.transfer(someoneElse, 50, { from: participants[0] });
+        });
+
+        it('the locked balance cannot exceed the balance', async function () {
+            await token.forceTransfer(participants[0], someoneElse, 20, '', { from: owner });
+            await checkBalances(participants[0], 40, 0);
+        });
+
+        describe('unlocking amounts', function () {
+            it('accounts different from locker cannot unlock amounts', async function () {
+                await assertRevert(token.unlockAmount(participants[0], { from: someoneElse }));
+                await assertRevert(token.unlockAmountInBatches(batch, { from: owner }));
+            });
+
+            it('unlock an amount of tokens', async function () {
+                const unlock = await token.unlockAmount(participants[0], { from: locker });
+                const eventLog = await expectEvent.inLogs(unlock.logs, 'UnlockAmount');
+                assert.equal(eventLog.args.addr.valueOf(), participants[0]);
+                await checkBalances(participants[0], 0, 40);
+                await token.transfer(someoneElse, 40, { from: participants[0] });
+            });
+
+            it('cannot unlock an amount which has not been locked', async function () {
+                await assertRevert(token.unlockAmount(participants[0], { from: locker }));
+            });
+
+            it('addresses locked as a whole remain locked', async function () {
+                await token.unlockAmount(participants[1], { from: locker });
+                await checkBalances(participants[1], 100, 0);
+            });
+
+            it('cannot unlock a batch of length 0', async function () {
+                await assertRevert(token.unlockAmountInBatches([], { from: locker }));
+            });
+
+            it('unlock amounts in batches', async function () {
+                await token.unlockAmountInBatches(batch, { from: locker });
+                await checkBalances(batch[0], 0, 90);
+                await checkBalances(batch[1], 0, 100);
+                await checkBalances(batch[2], 0, 100);
+            });
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/// @title  Token.LockReason.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract lock reasons unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token lock reasons tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const noDocument = '0x' + '0'.repeat(64);
+    const kycDocument = web3.sha3('KYC review #1234');
+    const sanctionsDocument = web3.sha3('Sanctions list 2018-06-01');
+
+    let token;
+
+    async function checkLockReason(address, expectedReason, expectedDocumentHash) {
+        expectedReason.should.be.bignumber.equal(await token.lockReason(address, { from: someoneElse }));
+        assert.equal(await token.lockDocumentHash(address, { from: someoneElse }), expectedDocumentHash);
+        const lockReason = await token.getLockReason(address, { from: someoneElse });
+        lockReason[0].should.be.bignumber.equal(expectedReason);
+        assert.equal(lockReason[1], expectedDocumentHash);
+    }
+
+    async function checkLockEvent(log, address, expectedReason, expectedDocumentHash) {
+        assert.equal(log.event, 'LockWithReason');
+        assert.equal(log.args.addr.valueOf(), address);
+        log.args.reason.should.be.bignumber.equal(expectedReason);
+        assert.equal(log.args.documentHash, expectedDocumentHash);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+    });
+
+    it('check the lock reason constants', async function () {
+        '0'.should.be.bignumber.equal(await token.LOCK_REASON_UNSPECIFIED.call({ from: someoneElse }));
+        '1'.should.be.bignumber.equal(await token.LOCK_REASON_PENDING_KYC.call({ from: someoneElse }));
+        '2'.should.be.bignumber.equal(await token.LOCK_REASON_FAILED_AML.call({ from: someoneElse }));
+        '3'.should.be.bignumber.equal(await token.LOCK_REASON_SANCTIONS.call({ from: someoneElse }));
+    });
+
+    it('addresses which are not locked have no lock reason', async function () {
+        await checkLockReason(participants[0], 0, noDocument);
+    });
+
+    it('lock an address with no reason', async function () {
+        const lock = await token.lockAddress(participants[6], { from: locker });
+        const eventLog = await expectEvent.inLogs(lock.logs, 'Lock');
+        assert.equal(eventLog.args.addr.valueOf(), participants[6]);
+        await checkLockEvent(await expectEvent.inLogs(lock.logs, 'LockWithReason'), participants[6], 0, noDocument);
+        await checkLockReason(participants[6], 0, noDocument);
+    });
+
+    it('lock an address with a reason and a document hash', async function () {
+        const lock = await token.lockAddressWithReason(participants[0], 1, kycDocument, { from: locker });
+        const eventLog = await expectEvent.inLogs(lock.logs, 'Lock');
+        assert.equal(eventLog.args.addr.valueOf(), participants[0]);
+        await checkLockEvent(await expectEvent.inLogs(lock.logs, 'LockWithReason'), participants[0], 1, kycDocument);
+        await checkLockReason(participants[0], 1, kycDocument);
+    });
+
+    it('lock an address with a reason and no document hash', async function () {
+        const lock = await token.lockAddressWithReason(participants[1], 2, 0x0, { from: locker });
+        await checkLockEvent(await expectEvent.inLogs(lock.logs, 'LockWithReason'), participants[1], 2, noDocument);
+        await checkLockReason(participants[1], 2, noDocument);
+    });
+
+    it('lock an address with a custom reason', async function () {
+        await token.lockAddressWithReason(participants[2], 42, kycDocument, { from: locker });
+        await checkLockReason(participants[2], 42, kycDocument);
+    });
+
+    it('lock several addresses with the same reason in batches', async function () {
+        const batch = participants.slice(3, 6);
+        const lock = await token.lockInBatchesWithReason(batch, 3, sanctionsDocument, { from: locker });
+        const lockLogs = lock.logs.filter(log => log.event === 'LockWithReason');
+        assert.equal(lockLogs.length, batch.length);
+        for (let i = 0; i < batch.length; i++) {
+            await checkLockEvent(lockLogs[i], batch[i], 3, sanctionsDocument);
+            await checkLockReason(batch[i], 3, sanctionsDocument);
+        }
+    });
+
+    it('unlocking an address clears its lock reason', async function () {
+        await token.unlockAddress(participants[0], { from: locker });
+        await checkLockReason(participants[0], 0, noDocument);
+    });
+
+    it('an address can be locked again for a different reason', async function () {
+        await token.lockAddressWithReason(participants[0], 3, sanctionsDocument, { from: locker });
+        await checkLockReason(participants[0], 3, sanctionsDocument);
+    });
+});
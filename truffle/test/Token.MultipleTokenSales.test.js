@@ -0,0 +1,146 @@
+/// @title  Token.MultipleTokenSales.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract participation in several token sales unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token multiple token sales participation tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25);  // participants in the second token sale
+
+    let token;
+    let SUCCESS_CODE;
+    let SENDER_IN_TOKEN_SALE_CODE;
+    let RECIPIENT_IN_TOKEN_SALE_CODE;
+
+    async function checkTokenSaleBalance(address, tokenSaleId, expectedBalance) {
+        expectedBalance.should.be.bignumber.equal(await token.tokenSaleBalance(address, tokenSaleId, { from: someoneElse }));
+        expectedBalance.should.be.bignumber.equal(
+            await token.getAddressTokenSaleBalance(address, tokenSaleId, { from: someoneElse }));
+    }
+
+    async function checkRestriction(from, to, value, expectedCode) {
+        expectedCode.should.be.bignumber.equal(await token.detectTransferRestriction(from, to, value, { from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        SUCCESS_CODE = await token.SUCCESS_CODE.call({ from: someoneElse });
+        SENDER_IN_TOKEN_SALE_CODE = await token.SENDER_IN_TOKEN_SALE_CODE.call({ from: someoneElse });
+        RECIPIENT_IN_TOKEN_SALE_CODE = await token.RECIPIENT_IN_TOKEN_SALE_CODE.call({ from: someoneElse });
+
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants.slice(0, 3), [100, 100, 100], { from: assigner });
+        await token.tokenSaleEnd({ from: owner });
+    });
+
+    describe('first token sale', function () {
+        it('tokens issued in the first token sale are tracked', async function () {
+            await checkTokenSaleBalance(participants[0], 1, 100);
+            await checkTokenSaleBalance(participants[0], 2, 0);
+            '1'.should.be.bignumber.equal(await token.getAddressTokenSaleId(participants[0], { from: someoneElse }));
+        });
+    });
+
+    describe('during the second token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('participants in the first token sale can be minted tokens in the second token sale', async function () {
+            await token.mint(participants[0], 50, { from: assigner });
+            await token.mint(participants[1], 10, { from: assigner });
+            await token.mint(participants2[0], 100, { from: assigner });
+
+            '150'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+            await checkTokenSaleBalance(participants[0], 1, 100);
+            await checkTokenSaleBalance(participants[0], 2, 50);
+            '3'.should.be.bignumber.equal(await token.tokenSaleParticipantCount(2, { from: someoneElse }));
+        });
+
+        it('the token sale id of an address is the last token sale it participated in', async function () {
+            '2'.should.be.bignumber.equal(await token.getAddressTokenSaleId(participants[0], { from: someoneElse }));
+            '2'.should.be.bignumber.equal(await token.tokenSaleId(participants[0], { from: someoneElse }));
+            '1'.should.be.bignumber.equal(await token.getAddressTokenSaleId(participants[2], { from: someoneElse }));
+        });
+
+        it('minting again in the same token sale does not count the participant twice', async function () {
+            await token.mint(participants[0], 50, { from: assigner });
+            await checkTokenSaleBalance(participants[0], 2, 100);
+            '3'.should.be.bignumber.equal(await token.tokenSaleParticipantCount(2, { from: someoneElse }));
+        });
+
+        it('only tokens issued in the ongoing token sale are restricted', async function () {
+            await checkRestriction(participants[0], participants[2], 100, SUCCESS_CODE);
+            await checkRestriction(participants[0], participants[2], 101, SENDER_IN_TOKEN_SALE_CODE);
+            await checkRestriction(participants2[0], participants[2], 1, SENDER_IN_TOKEN_SALE_CODE);
+        });
+
+        it('participants can transfer the tokens issued in previous token sales', async function () {
+            await token.transfer(participants[2], 60, { from: participants[0] });
+            await assertRevert(token.transfer(participants[2], 41, { from: participants[0] }));
+            await token.transfer(participants[2], 40, { from: participants[0] });
+            await assertRevert(token.transfer(participants[2], 1, { from: participants[0] }));
+            '100'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+            '200'.should.be.bignumber.equal(await token.balanceOf(participants[2], { from: someoneElse }));
+        });
+
+        it('participants can burn the tokens issued in previous token sales', async function () {
+            await assertRevert(token.burn(101, { from: participants[1] }));
+            await token.burn(10, { from: participants[1] });
+            '100'.should.be.bignumber.equal(await token.balanceOf(participants[1], { from: someoneElse }));
+        });
+
+        it('spenders can transfer the tokens issued in previous token sales', async function () {
+            await token.approve(someoneElse, 100, { from: participants[1] });
+            await assertRevert(token.transferFrom(participants[1], someoneElse, 91, { from: someoneElse }));
+            await token.transferFrom(participants[1], someoneElse, 90, { from: someoneElse });
+            '10'.should.be.bignumber.equal(await token.balanceOf(participants[1], { from: someoneElse }));
+        });
+
+        it('participants in the ongoing token sale cannot receive tokens', async function () {
+            await checkRestriction(participants[2], participants[0], 1, RECIPIENT_IN_TOKEN_SALE_CODE);
+            await assertRevert(token.transfer(participants[0], 1, { from: participants[2] }));
+        });
+
+        it('only tokens issued in the ongoing token sale can be unminted', async function () {
+            await assertRevert(token.unmint(participants[0], 101, { from: assigner }));
+            await token.unmint(participants[0], 30, { from: assigner });
+            await checkTokenSaleBalance(participants[0], 2, 70);
+            '70'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+        });
+
+        it('participants in the first token sale can be locked in the second token sale', async function () {
+            await token.lockAddress(participants[0], { from: locker });
+            const SENDER_LOCKED_CODE = await token.SENDER_LOCKED_CODE.call({ from: someoneElse });
+            await checkRestriction(participants[0], participants[2], 0, SENDER_LOCKED_CODE);
+            await token.unlockAddress(participants[0], { from: locker });
+        });
+    });
+
+    describe('after the second token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('all the tokens can be transferred', async function () {
+            await checkRestriction(participants[0], participants[2], 70, SUCCESS_CODE);
+            await token.transfer(participants[2], 70, { from: participants[0] });
+            await token.transfer(participants[2], 10, { from: participants[1] });
+            await token.transfer(participants[2], 100, { from: participants2[0] });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/// @title  Token.Pause.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract emergency pause unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token pause tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+
+    let token;
+
+    async function checkPaused(expected) {
+        assert.equal(await token.paused.call({ from: someoneElse }), expected);
+    }
+
+    describe('pausing', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+        });
+
+        it('token is not paused initially', async function () {
+            await checkPaused(false);
+        });
+
+        it('accounts different from pauser cannot pause', async function () {
+            await assertRevert(token.pause({ from: owner }));
+            await assertRevert(token.pause({ from: assigner }));
+            await assertRevert(token.pause({ from: locker }));
+            await checkPaused(false);
+        });
+
+        it('cannot unpause if not paused', async function () {
+            await assertRevert(token.unpause({ from: pauser }));
+        });
+
+        it('pauser can pause', async function () {
+            const pause = await token.pause({ from: pauser });
+            await expectEvent.inLogs(pause.logs, 'Pause');
+            await checkPaused(true);
+        });
+
+        it('cannot pause if already paused', async function () {
+            await assertRevert(token.pause({ from: pauser }));
+        });
+
+        it('accounts different from pauser cannot unpause', async function () {
+            await assertRevert(token.unpause({ from: owner }));
+            await checkPaused(true);
+        });
+
+        it('pauser can unpause', async function () {
+            const unpause = await token.unpause({ from: pauser });
+            await expectEvent.inLogs(unpause.logs, 'Unpause');
+            await checkPaused(false);
+        });
+    });
+
+    describe('during the token sale while paused', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.pause({ from: pauser });
+        });
+
+        it('cannot mint/assign tokens', async function () {
+            await assertRevert(token.mint(participants[1], 1, { from: assigner }));
+            await assertRevert(token.assign(participants[1], 1, { from: assigner }));
+            '100'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('cannot mint/assign tokens in batches', async function () {
+            await assertRevert(token.mintInBatches([participants[1]], [1], { from: assigner }));
+            await assertRevert(token.assignInBatches([participants[1]], [1], { from: assigner }));
+            '100'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('locker can still lock and unlock addresses', async function () {
+            await token.lockAddress(participants[0], { from: locker });
+            await token.unlockAddress(participants[0], { from: locker });
+        });
+
+        it('minting is possible again once unpaused', async function () {
+            await token.unpause({ from: pauser });
+            await token.mintInBatches([participants[1]], [1], { from: assigner });
+            '101'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+    });
+
+    describe('after the token sale while paused', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.tokenSaleEnd({ from: owner });
+            await token.approve(someoneElse, 50, { from: participants[0] });
+            await token.pause({ from: pauser });
+        });
+
+        it('cannot transfer tokens', async function () {
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[0] }));
+            await assertRevert(token.transferFrom(participants[0], someoneElse, 1, { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.balanceOf(someoneElse, { from: someoneElse }));
+        });
+
+        it('cannot approve tokens', async function () {
+            await assertRevert(token.approve(someoneElse, 1, { from: participants[0] }));
+            await assertRevert(token.increaseApproval(someoneElse, 1, { from: participants[0] }));
+            await assertRevert(token.decreaseApproval(someoneElse, 1, { from: participants[0] }));
+            '50'.should.be.bignumber.equal(await token.allowance(participants[0], someoneElse, { from: someoneElse }));
+        });
+
+        it('cannot burn tokens', async function () {
+            await assertRevert(token.burn(1, { from: participants[0] }));
+            await assertRevert(token.burnFrom(participants[0], 1, { from: someoneElse }));
+            '100'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('owner can still change the pauser', async function () {
+            await token.transferPauser(someoneElse, { from: owner });
+            await assertRevert(token.unpause({ from: pauser }));
+        });
+
+        it('transfers are possible again once unpaused', async function () {
+            await token.unpause({ from: someoneElse });
+            await token.transfer(someoneElse, 1, { from: participants[0] });
+            await token.transferFrom(participants[0], someoneElse, 1, { from: someoneElse });
+            '2'.should.be.bignumber.equal(await token.balanceOf(someoneElse, { from: someoneElse }));
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/// @title  Token.Roles.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract multiple assigners and lockers unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token roles tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const assigners = accounts.slice(15, 18);
+    const lockers = accounts.slice(18, 21);
+
+    let token;
+
+    async function checkRoleEvent(tx, eventName, address) {
+        const eventLog = await expectEvent.inLogs(tx.logs, eventName);
+        assert.equal(eventLog.args.addr.valueOf(), address);
+    }
+
+    describe('initial roles', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+        });
+
+        it('the assigner passed to the constructor is an assigner', async function () {
+            assert.equal(await token.isAssigner(assigner, { from: someoneElse }), true);
+            assert.equal(await token.isAssigner(locker, { from: someoneElse }), false);
+        });
+
+        it('the locker passed to the constructor is a locker', async function () {
+            assert.equal(await token.isLocker(locker, { from: someoneElse }), true);
+            assert.equal(await token.isLocker(assigner, { from: someoneElse }), false);
+        });
+    });
+
+    describe('assigners', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('accounts different from owner cannot add assigners', async function () {
+            await assertRevert(token.addAssigner(assigners[0], { from: assigner }));
+            assert.equal(await token.isAssigner(assigners[0], { from: someoneElse }), false);
+        });
+
+        it('cannot add 0x0 as assigner', async function () {
+            await assertRevert(token.addAssigner(0x0, { from: owner }));
+        });
+
+        it('owner can add assigners', async function () {
+            for (let i = 0; i < assigners.length; i++) {
+                await checkRoleEvent(await token.addAssigner(assigners[i], { from: owner }), 'AssignerAdded', assigners[i]);
+                assert.equal(await token.isAssigner(assigners[i], { from: someoneElse }), true);
+            }
+        });
+
+        it('cannot add an address which is already an assigner', async function () {
+            await assertRevert(token.addAssigner(assigners[0], { from: owner }));
+            await assertRevert(token.addAssigner(assigner, { from: owner }));
+        });
+
+        it('every assigner can mint and assign tokens', async function () {
+            await token.mint(participants[0], 1, { from: assigner });
+            await token.mint(participants[1], 1, { from: assigners[0] });
+            await token.assign(participants[2], 1, { from: assigners[1] });
+            await token.mintInBatches([participants[3]], [1], { from: assigners[2] });
+            '4'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('accounts different from owner cannot remove assigners', async function () {
+            await assertRevert(token.removeAssigner(assigners[0], { from: assigner }));
+        });
+
+        it('the main assigner cannot be removed', async function () {
+            await assertRevert(token.removeAssigner(assigner, { from: owner }));
+        });
+
+        it('cannot remove an address which is not an assigner', async function () {
+            await assertRevert(token.removeAssigner(someoneElse, { from: owner }));
+        });
+
+        it('owner can remove assigners', async function () {
+            await checkRoleEvent(await token.removeAssigner(assigners[0], { from: owner }), 'AssignerRemoved', assigners[0]);
+            assert.equal(await token.isAssigner(assigners[0], { from: someoneElse }), false);
+            await assertRevert(token.mint(participants[0], 1, { from: assigners[0] }));
+        });
+
+        it('transferring the main assigner replaces it and keeps the other assigners', async function () {
+            await token.transferAssigner(someoneElse, { from: owner });
+            assert.equal(await token.assigner.call({ from: someoneElse }), someoneElse);
+            assert.equal(await token.isAssigner(assigner, { from: someoneElse }), false);
+            assert.equal(await token.isAssigner(someoneElse, { from: someoneElse }), true);
+            assert.equal(await token.isAssigner(assigners[1], { from: someoneElse }), true);
+
+            await assertRevert(token.mint(participants[0], 1, { from: assigner }));
+            await token.mint(participants[0], 1, { from: someoneElse });
+            await token.mint(participants[0], 1, { from: assigners[1] });
+        });
+    });
+
+    describe('lockers', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mintInBatches(participants, participants.map(() => 1), { from: assigner });
+        });
+
+        it('accounts different from owner cannot add lockers', async function () {
+            await assertRevert(token.addLocker(lockers[0], { from: locker }));
+            assert.equal(await token.isLocker(lockers[0], { from: someoneElse }), false);
+        });
+
+        it('cannot add 0x0 as locker', async function () {
+            await assertRevert(token.addLocker(0x0, { from: owner }));
+        });
+
+        it('owner can add lockers', async function () {
+            for (let i = 0; i < lockers.length; i++) {
+                await checkRoleEvent(await token.addLocker(lockers[i], { from: owner }), 'LockerAdded', lockers[i]);
+                assert.equal(await token.isLocker(lockers[i], { from: someoneElse }), true);
+            }
+        });
+
+        it('cannot add an address which is already a locker', async function () {
+            await assertRevert(token.addLocker(lockers[0], { from: owner }));
+        });
+
+        it('every locker can lock and unlock addresses', async function () {
+            await token.lockAddress(participants[0], { from: lockers[0] });
+            await token.unlockAddress(participants[0], { from: lockers[1] });
+            await token.lockInBatches([participants[1]], { from: lockers[2] });
+            await token.unlockInBatches([participants[1]], { from: locker });
+        });
+
+        it('the main locker cannot be removed', async function () {
+            await assertRevert(token.removeLocker(locker, { from: owner }));
+        });
+
+        it('owner can remove lockers', async function () {
+            await checkRoleEvent(await token.removeLocker(lockers[0], { from: owner }), 'LockerRemoved', lockers[0]);
+            assert.equal(await token.isLocker(lockers[0], { from: someoneElse }), false);
+            await assertRevert(token.lockAddress(participants[0], { from: lockers[0] }));
+        });
+
+        it('cannot remove an address which is not a locker', async function () {
+            await assertRevert(token.removeLocker(lockers[0], { from: owner }));
+        });
+
+        it('transferring the main locker replaces it and keeps the other lockers', async function () {
+            await token.transferLocker(someoneElse, { from: owner });
+            assert.equal(await token.locker.call({ from: someoneElse }), someoneElse);
+            assert.equal(await token.isLocker(locker, { from: someoneElse }), false);
+            assert.equal(await token.isLocker(lockers[1], { from: someoneElse }), true);
+
+            await assertRevert(token.lockAddress(participants[0], { from: locker }));
+            await token.lockAddress(participants[0], { from: someoneElse });
+            await token.unlockAddress(participants[0], { from: lockers[1] });
+        });
+    });
+});
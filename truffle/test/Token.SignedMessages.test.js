@@ -0,0 +1,185 @@
+/// @title  Token.SignedMessages.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract signed approvals and transfers unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+import { signPermit, signTransfer } from './helpers/sign';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token signed messages tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const relayer = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25);  // participants in the second token sale
+
+    let token;
+    let deadline;
+
+    async function nonce(address) {
+        return token.nonces(address, { from: someoneElse });
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+        await token.lockAddress(participants[0], { from: locker });
+        await token.tokenSaleEnd({ from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mint(participants2[0], 100, { from: assigner });
+        deadline = latestTime() + duration.days(1);
+    });
+
+    describe('signed approvals', function () {
+        it('check value of selector constants in smart contract', async function () {
+            assert.equal(await token.PERMIT_SELECTOR.call(),
+                web3.sha3('permit(address,address,uint256,uint256,bytes)').slice(0, 10));
+            assert.equal(await token.TRANSFER_WITH_SIGNATURE_SELECTOR.call(),
+                web3.sha3('transferWithSignature(address,address,uint256,uint256,bytes)').slice(0, 10));
+        });
+
+        it('nonces are 0 initially', async function () {
+            '0'.should.be.bignumber.equal(await nonce(participants[1]));
+        });
+
+        it('the signed hash matches the one computed by the token', async function () {
+            const hash = await token.permitHash(participants[1], someoneElse, 10, 0, deadline, { from: someoneElse });
+            const signature = web3.eth.sign(participants[1], hash);
+            assert.equal(signPermit(token, participants[1], someoneElse, 10, 0, deadline), signature);
+        });
+
+        it('anyone can submit an approval signed by a token holder', async function () {
+            const signature = signPermit(token, participants[1], someoneElse, 50, 0, deadline);
+            const permit = await token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer });
+            const eventLog = await expectEvent.inLogs(permit.logs, 'Approval');
+            assert.equal(eventLog.args.owner.valueOf(), participants[1]);
+            assert.equal(eventLog.args.spender.valueOf(), someoneElse);
+            eventLog.args.value.should.be.bignumber.equal(50);
+            '50'.should.be.bignumber.equal(await token.allowance(participants[1], someoneElse, { from: someoneElse }));
+            '1'.should.be.bignumber.equal(await nonce(participants[1]));
+        });
+
+        it('the approved spender can transfer the tokens', async function () {
+            await token.transferFrom(participants[1], someoneElse, 50, { from: someoneElse });
+            '50'.should.be.bignumber.equal(await token.balanceOf(someoneElse, { from: someoneElse }));
+        });
+
+        it('a signed approval cannot be replayed', async function () {
+            const signature = signPermit(token, participants[1], someoneElse, 50, 0, deadline);
+            await assertRevert(token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer }));
+        });
+
+        it('a signed approval cannot be altered', async function () {
+            const signature = signPermit(token, participants[1], someoneElse, 50, 1, deadline);
+            await assertRevert(token.permit(participants[1], someoneElse, 51, deadline, signature, { from: relayer }));
+            await assertRevert(token.permit(participants[1], relayer, 50, deadline, signature, { from: relayer }));
+        });
+
+        it('an approval signed by another address is rejected', async function () {
+            const signature = signPermit(token, participants[2], someoneElse, 50, 0, deadline);
+            await assertRevert(token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer }));
+        });
+
+        it('an approval signed for another token is rejected', async function () {
+            const otherToken = await Token.new(assigner, locker, pauser, { from: owner });
+            const signature = signPermit(otherToken, participants[1], someoneElse, 50, 1, deadline);
+            await assertRevert(token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer }));
+        });
+
+        it('a signed transfer cannot be used as an approval', async function () {
+            const signature = signTransfer(token, participants[1], someoneElse, 50, 1, deadline);
+            await assertRevert(token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer }));
+        });
+
+        it('cannot submit a signed approval while the token is paused', async function () {
+            const signature = signPermit(token, participants[1], someoneElse, 50, 1, deadline);
+            await token.pause({ from: pauser });
+            await assertRevert(token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer }));
+            await token.unpause({ from: pauser });
+            await token.permit(participants[1], someoneElse, 50, deadline, signature, { from: relayer });
+            '2'.should.be.bignumber.equal(await nonce(participants[1]));
+        });
+    });
+
+    describe('signed transfers', function () {
+        it('anyone can submit a transfer signed by a token holder', async function () {
+            const signature = signTransfer(token, participants[2], participants[3], 40, 0, deadline);
+            const transfer = await token.transferWithSignature(participants[2], participants[3], 40, deadline, signature,
+                { from: relayer });
+            const eventLog = await expectEvent.inLogs(transfer.logs, 'Transfer');
+            assert.equal(eventLog.args.from.valueOf(), participants[2]);
+            assert.equal(eventLog.args.to.valueOf(), participants[3]);
+            eventLog.args.value.should.be.bignumber.equal(40);
+            '60'.should.be.bignumber.equal(await token.balanceOf(participants[2], { from: someoneElse }));
+            '140'.should.be.bignumber.equal(await token.balanceOf(participants[3], { from: someoneElse }));
+            '1'.should.be.bignumber.equal(await nonce(participants[2]));
+        });
+
+        it('a signed transfer cannot be replayed', async function () {
+            const signature = signTransfer(token, participants[2], participants[3], 40, 0, deadline);
+            await assertRevert(token.transferWithSignature(participants[2], participants[3], 40, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('cannot transfer more tokens than the signer holds', async function () {
+            const signature = signTransfer(token, participants[2], participants[3], 61, 1, deadline);
+            await assertRevert(token.transferWithSignature(participants[2], participants[3], 61, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('a signed approval cannot be used as a transfer', async function () {
+            const signature = signPermit(token, participants[2], participants[3], 10, 1, deadline);
+            await assertRevert(token.transferWithSignature(participants[2], participants[3], 10, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('locked addresses cannot transfer tokens through signed messages', async function () {
+            const signature = signTransfer(token, participants[0], participants[3], 10, 0, deadline);
+            await assertRevert(token.transferWithSignature(participants[0], participants[3], 10, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('current token sale\'s addresses cannot send tokens through signed messages', async function () {
+            const signature = signTransfer(token, participants2[0], participants[3], 10, 0, deadline);
+            await assertRevert(token.transferWithSignature(participants2[0], participants[3], 10, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('current token sale\'s addresses cannot receive tokens through signed messages', async function () {
+            const signature = signTransfer(token, participants[2], participants2[0], 10, 1, deadline);
+            await assertRevert(token.transferWithSignature(participants[2], participants2[0], 10, deadline, signature,
+                { from: relayer }));
+        });
+
+        it('cannot submit a signed transfer while the token is paused', async function () {
+            const signature = signTransfer(token, participants[2], participants[3], 10, 1, deadline);
+            await token.pause({ from: pauser });
+            await assertRevert(token.transferWithSignature(participants[2], participants[3], 10, deadline, signature,
+                { from: relayer }));
+            await token.unpause({ from: pauser });
+        });
+
+        it('signatures cannot be used after their deadline', async function () {
+            const signature = signTransfer(token, participants[2], participants[3], 10, 1, deadline);
+            await increaseTime.increaseTimeTo(deadline + duration.seconds(1));
+            await assertRevert(token.transferWithSignature(participants[2], participants[3], 10, deadline, signature,
+                { from: relayer }));
+            '1'.should.be.bignumber.equal(await nonce(participants[2]));
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/// @title  Token.Snapshot.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract balance snapshots unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token snapshot tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25); // participants in the second token sale
+
+    let token;
+
+    async function checkBalanceAt(address, snapshotId, expectedBalance) {
+        (await token.balanceOfAt(address, snapshotId, { from: someoneElse })).should.be.bignumber.equal(expectedBalance);
+    }
+
+    async function checkTotalSupplyAt(snapshotId, expectedTotalSupply) {
+        (await token.totalSupplyAt(snapshotId, { from: someoneElse })).should.be.bignumber.equal(expectedTotalSupply);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+    });
+
+    describe('taking snapshots', function () {
+        it('no snapshot has been taken initially', async function () {
+            '0'.should.be.bignumber.equal(await token.currentSnapshotId.call({ from: someoneElse }));
+        });
+
+        it('cannot query a snapshot that has not been taken', async function () {
+            await assertRevert(token.balanceOfAt(participants[0], 0, { from: someoneElse }));
+            await assertRevert(token.totalSupplyAt(1, { from: someoneElse }));
+        });
+
+        it('accounts different from owner cannot take snapshots', async function () {
+            await assertRevert(token.snapshot({ from: someoneElse }));
+        });
+
+        it('owner can take snapshots', async function () {
+            const snapshot = await token.snapshot({ from: owner });
+            const eventLog = await expectEvent.inLogs(snapshot.logs, 'Snapshot');
+            eventLog.args.id.should.be.bignumber.equal(1);
+            '1'.should.be.bignumber.equal(await token.currentSnapshotId.call({ from: someoneElse }));
+            await checkTotalSupplyAt(1, 0);
+        });
+    });
+
+    describe('during the first token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('minting and assigning do not change previous snapshots', async function () {
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.assign(participants[1], 200, { from: assigner });
+            await checkBalanceAt(participants[0], 1, 0);
+            await checkBalanceAt(participants[1], 1, 0);
+            await checkTotalSupplyAt(1, 0);
+        });
+
+        it('snapshots reflect the balances when they were taken', async function () {
+            await token.snapshot({ from: owner });
+            await token.assign(participants[1], 50, { from: assigner });
+            await token.mint(participants[2], 10, { from: assigner });
+            await checkBalanceAt(participants[0], 2, 100);
+            await checkBalanceAt(participants[1], 2, 200);
+            await checkBalanceAt(participants[2], 2, 0);
+            await checkTotalSupplyAt(2, 300);
+        });
+
+        it('ending the token sale takes a snapshot', async function () {
+            const tokenSaleEnd = await token.tokenSaleEnd({ from: owner });
+            const eventLog = await expectEvent.inLogs(tokenSaleEnd.logs, 'Snapshot');
+            eventLog.args.id.should.be.bignumber.equal(3);
+            '3'.should.be.bignumber.equal(await token.tokenSaleSnapshotId(1, { from: someoneElse }));
+        });
+    });
+
+    describe('after the first token sale', function () {
+        it('transfers do not change previous snapshots', async function () {
+            await token.transfer(participants[3], 30, { from: participants[0] });
+            await token.approve(someoneElse, 10, { from: participants[1] });
+            await token.transferFrom(participants[1], participants[3], 10, { from: someoneElse });
+            await checkBalanceAt(participants[0], 3, 100);
+            await checkBalanceAt(participants[1], 3, 50);
+            await checkBalanceAt(participants[3], 3, 0);
+            await checkTotalSupplyAt(3, 160);
+        });
+
+        it('burns do not change previous snapshots', async function () {
+            await token.burn(20, { from: participants[0] });
+            await checkBalanceAt(participants[0], 3, 100);
+            await checkTotalSupplyAt(3, 160);
+        });
+
+        it('unchanged balances are reported for later snapshots', async function () {
+            await token.snapshot({ from: owner });
+            await checkBalanceAt(participants[0], 4, 50);
+            await checkBalanceAt(participants[2], 4, 10);
+            await checkBalanceAt(participants[3], 4, 40);
+            await checkTotalSupplyAt(4, 140);
+        });
+
+        it('several snapshots between balance changes are reported correctly', async function () {
+            await token.snapshot({ from: owner });
+            await token.snapshot({ from: owner });
+            await token.transfer(participants[4], 50, { from: participants[0] });
+            await token.snapshot({ from: owner });
+            await token.transfer(participants[4], 40, { from: participants[3] });
+
+            await checkBalanceAt(participants[0], 3, 100);
+            await checkBalanceAt(participants[0], 5, 50);
+            await checkBalanceAt(participants[0], 6, 50);
+            await checkBalanceAt(participants[0], 7, 0);
+            await checkBalanceAt(participants[4], 6, 0);
+            await checkBalanceAt(participants[4], 7, 50);
+            await checkBalanceAt(participants[3], 7, 40);
+            (await token.balanceOf(participants[3], { from: someoneElse })).should.be.bignumber.equal(0);
+        });
+
+        it('forced transfers do not change previous snapshots', async function () {
+            await token.snapshot({ from: owner });
+            await token.forceTransfer(participants[4], participants[0], 90, '', { from: owner });
+            await checkBalanceAt(participants[4], 8, 90);
+            await checkBalanceAt(participants[0], 8, 0);
+        });
+    });
+
+    describe('second token sale', function () {
+        it('ending the token sale takes another snapshot', async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants2[0], 1000, { from: assigner });
+            await token.tokenSaleEnd({ from: owner });
+            '9'.should.be.bignumber.equal(await token.tokenSaleSnapshotId(2, { from: someoneElse }));
+            await checkBalanceAt(participants2[0], 9, 1000);
+            await checkBalanceAt(participants2[0], 8, 0);
+            await checkTotalSupplyAt(9, 1140);
+            await checkTotalSupplyAt(8, 140);
+        });
+    });
+});
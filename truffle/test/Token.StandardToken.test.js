@@ -5,12 +5,12 @@
 const assertRevert = require('./helpers/assertRevert');
 const Token = artifacts.require('Token');
 
-contract('Token', function ([_, owner, recipient, anotherAccount, assigner, locker]) {
+contract('Token', function ([_, owner, recipient, anotherAccount, assigner, locker, pauser]) {
     const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 
     beforeEach(async function () {
-        this.token = await Token.new(assigner, locker);
-        await this.token.tokenSaleStart();
+        this.token = await Token.new(assigner, locker, pauser);
+        await this.token.tokenSaleStart(0);
         await this.token.mint(owner, 100, { from: assigner });
         await this.token.tokenSaleEnd();
     });
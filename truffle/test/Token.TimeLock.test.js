@@ -0,0 +1,141 @@
+/// @title  Token.TimeLock.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract time-bound locks unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token time-bound locks tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+
+    let token;
+    let regSReleaseTime;
+    let insiderReleaseTime;
+
+    async function checkIsLocked(address, expectedLocked) {
+        assert.equal(await token.isLocked(address, { from: someoneElse }), expectedLocked);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+        regSReleaseTime = latestTime() + duration.days(40);
+        insiderReleaseTime = latestTime() + duration.years(1);
+    });
+
+    describe('during the token sale', function () {
+        it('accounts different from locker cannot lock addresses until a given time', async function () {
+            await assertRevert(token.lockAddressUntil(participants[0], regSReleaseTime, { from: someoneElse }));
+            await assertRevert(token.lockUntilInBatches([participants[0]], regSReleaseTime, { from: owner }));
+        });
+
+        it('the release time must be in the future', async function () {
+            await assertRevert(token.lockAddressUntil(participants[0], latestTime(), { from: locker }));
+        });
+
+        it('cannot lock an address that has not participated in the token sale', async function () {
+            await assertRevert(token.lockAddressUntil(someoneElse, regSReleaseTime, { from: locker }));
+        });
+
+        it('lock an address until a given time', async function () {
+            const lock = await token.lockAddressUntil(participants[0], regSReleaseTime, { from: locker });
+            const eventLog = await expectEvent.inLogs(lock.logs, 'LockUntil');
+            assert.equal(eventLog.args.addr.valueOf(), participants[0]);
+            eventLog.args.releaseTime.should.be.bignumber.equal(regSReleaseTime);
+
+            regSReleaseTime.should.be.bignumber.equal(await token.lockedUntil(participants[0], { from: someoneElse }));
+            await checkIsLocked(participants[0], true);
+            assert.equal(await token.locked(participants[0], { from: someoneElse }), false);
+        });
+
+        describe('locking until a given time in batches', function () {
+            it('cannot lock a batch of length 0', async function () {
+                await assertRevert(token.lockUntilInBatches([], insiderReleaseTime, { from: locker }));
+            });
+
+            it('cannot lock in batches larger than the maximum allowed', async function () {
+                const maxBatchSize = (await token.MAX_BATCH_SIZE.call({ from: someoneElse })).toNumber();
+                const largeBatch = Array(maxBatchSize + 1).fill(participants[1]);
+                await assertRevert(token.lockUntilInBatches(largeBatch, insiderReleaseTime, { from: locker }));
+            });
+
+            it('lock a batch until a given time', async function () {
+                await token.lockUntilInBatches(participants.slice(1, 4), insiderReleaseTime, { from: locker });
+                for (let i = 1; i < 4; i++) {
+                    await checkIsLocked(participants[i], true);
+                }
+            });
+        });
+
+        it('addresses can be locked both indefinitely and until a given time', async function () {
+            await token.lockAddress(participants[4], { from: locker });
+            await token.lockAddressUntil(participants[4], regSReleaseTime, { from: locker });
+            await checkIsLocked(participants[4], true);
+        });
+    });
+
+    describe('after the token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('cannot lock addresses until a given time if a token sale is not ongoing', async function () {
+            await assertRevert(token.lockAddressUntil(participants[5], insiderReleaseTime, { from: locker }));
+        });
+
+        it('addresses locked until a given time cannot transfer tokens before that time', async function () {
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[0] }));
+            await token.approve(someoneElse, 1, { from: participants[0] });
+            await assertRevert(token.transferFrom(participants[0], someoneElse, 1, { from: someoneElse }));
+            await token.approve(participants[0], 1, { from: participants[5] });
+            await assertRevert(token.transferFrom(participants[5], someoneElse, 1, { from: participants[0] }));
+        });
+
+        it('the locker can unlock an address before its release time', async function () {
+            await token.unlockAddress(participants[1], { from: locker });
+            await checkIsLocked(participants[1], false);
+            '0'.should.be.bignumber.equal(await token.lockedUntil(participants[1], { from: someoneElse }));
+            await token.transfer(someoneElse, 1, { from: participants[1] });
+        });
+
+        it('addresses are unlocked automatically at their release time', async function () {
+            await increaseTime.increaseTimeTo(regSReleaseTime + duration.seconds(1));
+            await checkIsLocked(participants[0], false);
+            await token.transfer(someoneElse, 1, { from: participants[0] });
+            await token.transferFrom(participants[0], someoneElse, 1, { from: someoneElse });
+            await assertRevert(token.unlockAddress(participants[0], { from: locker }));
+        });
+
+        it('addresses locked indefinitely remain locked after the release time', async function () {
+            await checkIsLocked(participants[4], true);
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[4] }));
+            await token.unlockAddress(participants[4], { from: locker });
+            await token.transfer(someoneElse, 1, { from: participants[4] });
+        });
+
+        it('addresses with a later release time remain locked until it', async function () {
+            await checkIsLocked(participants[2], true);
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[2] }));
+            await increaseTime.increaseTimeTo(insiderReleaseTime + duration.seconds(1));
+            await checkIsLocked(participants[2], false);
+            await token.transfer(someoneElse, 1, { from: participants[2] });
+        });
+    });
+});
@@ -0,0 +1,306 @@
+/// @title  Token.TokenSaleSchedule.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract scheduled token sales unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token scheduled token sales tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);
+
+    let token;
+    let openingTime;
+    let closingTime;
+
+    async function checkTokenSaleOngoing(expected) {
+        assert.equal(await token.tokenSaleOngoing.call({ from: someoneElse }), expected);
+        assert.equal(await token.isTokenSaleOngoing({ from: someoneElse }), expected);
+    }
+
+    describe('scheduling a token sale', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            openingTime = latestTime() + duration.days(1);
+            closingTime = openingTime + duration.days(7);
+        });
+
+        it('accounts different from owner cannot schedule a token sale', async function () {
+            await assertRevert(token.tokenSaleSchedule(openingTime, closingTime, 0, { from: someoneElse }));
+        });
+
+        it('closing time cannot be before opening time', async function () {
+            await assertRevert(token.tokenSaleSchedule(closingTime, openingTime, 0, { from: owner }));
+            await assertRevert(token.tokenSaleSchedule(openingTime, openingTime, 0, { from: owner }));
+        });
+
+        it('closing time cannot be in the past', async function () {
+            await assertRevert(token.tokenSaleSchedule(latestTime() - duration.days(2), latestTime() - duration.days(1), 0, { from: owner }));
+        });
+
+        it('owner can schedule a token sale', async function () {
+            const tokenSaleSchedule = await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+
+            const eventLog1 = await expectEvent.inLogs(tokenSaleSchedule.logs, 'TokenSaleStarting');
+            eventLog1.args.tokenSaleId.should.be.bignumber.equal(1);
+            const eventLog2 = await expectEvent.inLogs(tokenSaleSchedule.logs, 'TokenSaleScheduled');
+            eventLog2.args.tokenSaleId.should.be.bignumber.equal(1);
+            eventLog2.args.openingTime.should.be.bignumber.equal(openingTime);
+            eventLog2.args.closingTime.should.be.bignumber.equal(closingTime);
+
+            '1'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+            openingTime.should.be.bignumber.equal(await token.tokenSaleOpeningTime.call({ from: someoneElse }));
+            closingTime.should.be.bignumber.equal(await token.tokenSaleClosingTime.call({ from: someoneElse }));
+        });
+
+        it('cannot start or schedule a new token sale while one is scheduled', async function () {
+            await assertRevert(token.tokenSaleStart(0, { from: owner }));
+            await assertRevert(token.tokenSaleSchedule(closingTime + duration.days(1), closingTime + duration.days(2), 0, { from: owner }));
+        });
+    });
+
+    describe('before the opening time', function () {
+        it('token sale is not ongoing', async function () {
+            await checkTokenSaleOngoing(false);
+        });
+
+        it('cannot mint/assign tokens', async function () {
+            await assertRevert(token.mint(participants[0], 1, { from: assigner }));
+            await assertRevert(token.assign(participants[0], 1, { from: assigner }));
+        });
+    });
+
+    describe('between the opening and closing times', function () {
+        before(async function () {
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+        });
+
+        it('token sale is ongoing', async function () {
+            await checkTokenSaleOngoing(true);
+        });
+
+        it('can mint/assign tokens', async function () {
+            await token.mint(participants[0], 10, { from: assigner });
+            await token.assign(participants[1], 10, { from: assigner });
+            '20'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('can lock addresses', async function () {
+            await token.lockAddress(participants[1], { from: locker });
+            assert.equal(await token.isLocked(participants[1]), true);
+        });
+
+        it('current token sale participants cannot transfer tokens', async function () {
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[0] }));
+        });
+
+        it('token sale cannot be finalized before its closing time', async function () {
+            await assertRevert(token.tokenSaleFinalize({ from: someoneElse }));
+        });
+    });
+
+    describe('after the closing time', function () {
+        before(async function () {
+            await increaseTime.increaseTimeTo(closingTime + duration.seconds(1));
+        });
+
+        it('token sale is not ongoing', async function () {
+            await checkTokenSaleOngoing(false);
+        });
+
+        it('cannot mint/assign tokens', async function () {
+            await assertRevert(token.mint(participants[0], 1, { from: assigner }));
+            await assertRevert(token.assign(participants[0], 1, { from: assigner }));
+        });
+
+        it('token sale cannot be ended once closed', async function () {
+            await assertRevert(token.tokenSaleEnd({ from: owner }));
+        });
+
+        it('anyone can finalize the token sale once closed, taking its snapshot', async function () {
+            '0'.should.be.bignumber.equal(await token.tokenSaleSnapshotId(1, { from: someoneElse }));
+
+            const tokenSaleFinalize = await token.tokenSaleFinalize({ from: someoneElse });
+            const eventLog = await expectEvent.inLogs(tokenSaleFinalize.logs, 'TokenSaleEnding');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            const snapshotLog = await expectEvent.inLogs(tokenSaleFinalize.logs, 'Snapshot');
+
+            const snapshotId = await token.tokenSaleSnapshotId(1, { from: someoneElse });
+            snapshotId.should.be.bignumber.equal(snapshotLog.args.id);
+            snapshotId.should.be.bignumber.equal(await token.currentSnapshotId({ from: someoneElse }));
+        });
+
+        it('token sale cannot be finalized twice', async function () {
+            await assertRevert(token.tokenSaleFinalize({ from: owner }));
+        });
+
+        it('participants can transfer tokens without the token sale being ended', async function () {
+            await token.transfer(someoneElse, 1, { from: participants[0] });
+            '1'.should.be.bignumber.equal(await token.balanceOf(someoneElse, { from: someoneElse }));
+        });
+
+        it('the snapshot keeps the balances at the end of the token sale', async function () {
+            const snapshotId = await token.tokenSaleSnapshotId(1, { from: someoneElse });
+            '10'.should.be.bignumber.equal(await token.balanceOfAt(participants[0], snapshotId, { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.balanceOfAt(someoneElse, snapshotId, { from: someoneElse }));
+            '20'.should.be.bignumber.equal(await token.totalSupplyAt(snapshotId, { from: someoneElse }));
+        });
+
+        it('locked participants still cannot transfer tokens', async function () {
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[1] }));
+        });
+
+        it('a new token sale can be started', async function () {
+            const tokenSaleStart = await token.tokenSaleStart(0, { from: owner });
+            const eventLog = await expectEvent.inLogs(tokenSaleStart.logs, 'TokenSaleStarting');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(2);
+            await checkTokenSaleOngoing(true);
+        });
+    });
+
+    describe('ending a scheduled token sale early', function () {
+        beforeEach(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            openingTime = latestTime() + duration.days(1);
+            closingTime = openingTime + duration.days(7);
+            await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+        });
+
+        it('accounts different from owner cannot end a scheduled token sale', async function () {
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            await assertRevert(token.tokenSaleEnd({ from: someoneElse }));
+            await checkTokenSaleOngoing(true);
+        });
+
+        it('owner can end an ongoing token sale before its closing time', async function () {
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            const tokenSaleEnd = await token.tokenSaleEnd({ from: owner });
+            const eventLog = await expectEvent.inLogs(tokenSaleEnd.logs, 'TokenSaleEnding');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            await checkTokenSaleOngoing(false);
+            await assertRevert(token.mint(participants[0], 1, { from: assigner }));
+        });
+
+        it('owner can cancel a token sale before its opening time', async function () {
+            const tokenSaleEnd = await token.tokenSaleEnd({ from: owner });
+            const eventLog = await expectEvent.inLogs(tokenSaleEnd.logs, 'TokenSaleCancelled');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            assert.equal(tokenSaleEnd.logs.length, 1);
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            await checkTokenSaleOngoing(false);
+            await assertRevert(token.mint(participants[0], 1, { from: assigner }));
+        });
+
+        it('cancelling a token sale keeps its id and takes no snapshot', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            '0'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.tokenSaleSnapshotId(1, { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.currentSnapshotId({ from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.tokenSaleSupplyCap(1, { from: someoneElse }));
+        });
+
+        it('a new token sale scheduled after cancelling the current one takes its id', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            await token.tokenSaleSchedule(latestTime(), latestTime() + duration.days(1), 0, { from: owner });
+            '1'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+        });
+
+        it('cancelled token sales do not count towards the maximum number of token sales', async function () {
+            const maxTokenSales = await token.MAX_TOKEN_SALES.call({ from: someoneElse });
+            await token.tokenSaleEnd({ from: owner });
+            for (let i = 0; i < maxTokenSales; i++) {
+                await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+                await token.tokenSaleEnd({ from: owner });
+            }
+            await token.tokenSaleStart(0, { from: owner });
+            '1'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+        });
+
+        it('cancelling a token sale keeps the snapshot of the previous one', async function () {
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            await token.tokenSaleEnd({ from: owner });
+            const snapshotId = await token.tokenSaleSnapshotId(1, { from: someoneElse });
+
+            await token.tokenSaleSchedule(latestTime() + duration.days(1), latestTime() + duration.days(2), 0, { from: owner });
+            await token.tokenSaleEnd({ from: owner });
+            '1'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+            snapshotId.should.be.bignumber.equal(await token.tokenSaleSnapshotId(1, { from: someoneElse }));
+            snapshotId.should.be.bignumber.equal(await token.currentSnapshotId({ from: someoneElse }));
+            await assertRevert(token.tokenSaleFinalize({ from: someoneElse }));
+        });
+
+        it('a token sale ended by the owner cannot be finalized again', async function () {
+            await token.tokenSaleEnd({ from: owner });
+            await assertRevert(token.tokenSaleFinalize({ from: owner }));
+        });
+    });
+
+    describe('finalizing a token sale', function () {
+        beforeEach(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            openingTime = latestTime() + duration.days(1);
+            closingTime = openingTime + duration.days(7);
+        });
+
+        it('cannot finalize before any token sale', async function () {
+            await assertRevert(token.tokenSaleFinalize({ from: owner }));
+        });
+
+        it('a closed token sale which was not finalized is finalized when the next one starts', async function () {
+            await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+            await increaseTime.increaseTimeTo(closingTime + duration.seconds(1));
+
+            const tokenSaleStart = await token.tokenSaleStart(0, { from: owner });
+            const eventLog = await expectEvent.inLogs(tokenSaleStart.logs, 'TokenSaleEnding');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            '1'.should.be.bignumber.equal(await token.tokenSaleSnapshotId(1, { from: someoneElse }));
+            '2'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+        });
+
+        it('the first transfer after the closing time finalizes the token sale before moving the tokens', async function () {
+            await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            await token.mint(participants[0], 10, { from: assigner });
+            await increaseTime.increaseTimeTo(closingTime + duration.seconds(1));
+
+            const transfer = await token.transfer(someoneElse, 4, { from: participants[0] });
+            const eventLog = await expectEvent.inLogs(transfer.logs, 'TokenSaleEnding');
+            eventLog.args.tokenSaleId.should.be.bignumber.equal(1);
+            await assertRevert(token.tokenSaleFinalize({ from: someoneElse }));
+
+            const snapshotId = await token.tokenSaleSnapshotId(1, { from: someoneElse });
+            '1'.should.be.bignumber.equal(snapshotId);
+            '10'.should.be.bignumber.equal(await token.balanceOfAt(participants[0], snapshotId, { from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.balanceOfAt(someoneElse, snapshotId, { from: someoneElse }));
+            '6'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+        });
+
+        it('the first burn after the closing time finalizes the token sale before burning the tokens', async function () {
+            await token.tokenSaleSchedule(openingTime, closingTime, 0, { from: owner });
+            await increaseTime.increaseTimeTo(openingTime + duration.seconds(1));
+            await token.mint(participants[0], 10, { from: assigner });
+            await increaseTime.increaseTimeTo(closingTime + duration.seconds(1));
+
+            await token.burn(4, { from: participants[0] });
+            const snapshotId = await token.tokenSaleSnapshotId(1, { from: someoneElse });
+            '1'.should.be.bignumber.equal(snapshotId);
+            '10'.should.be.bignumber.equal(await token.balanceOfAt(participants[0], snapshotId, { from: someoneElse }));
+            '10'.should.be.bignumber.equal(await token.totalSupplyAt(snapshotId, { from: someoneElse }));
+        });
+    });
+});
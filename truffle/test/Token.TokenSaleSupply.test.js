@@ -0,0 +1,121 @@
+/// @title  Token.TokenSaleSupply.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract per token sale supply caps and accounting unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token token sale supply tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25); // participants in the second token sale
+
+    let token;
+
+    async function checkTokenSaleSummary(tokenSaleId, supplyCap, supply, participantCount) {
+        const summary = await token.getTokenSaleSummary(tokenSaleId, { from: someoneElse });
+        summary[0].should.be.bignumber.equal(supplyCap);
+        summary[1].should.be.bignumber.equal(supply);
+        summary[2].should.be.bignumber.equal(participantCount);
+
+        supplyCap.should.be.bignumber.equal(await token.tokenSaleSupplyCap(tokenSaleId, { from: someoneElse }));
+        supply.should.be.bignumber.equal(await token.tokenSaleSupply(tokenSaleId, { from: someoneElse }));
+        participantCount.should.be.bignumber.equal(await token.tokenSaleParticipantCount(tokenSaleId, { from: someoneElse }));
+    }
+
+    describe('setting the supply cap', function () {
+        beforeEach(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+        });
+
+        it('supply cap cannot be greater than max token supply', async function () {
+            const maxTokenSupply = await token.MAX_TOKEN_SUPPLY.call({ from: someoneElse });
+            await assertRevert(token.tokenSaleStart(maxTokenSupply.plus(1), { from: owner }));
+            await assertRevert(token.tokenSaleSchedule(latestTime(), latestTime() + duration.days(1), maxTokenSupply.plus(1), { from: owner }));
+        });
+
+        it('supply cap is set when starting a token sale', async function () {
+            await token.tokenSaleStart(1000, { from: owner });
+            await checkTokenSaleSummary(1, 1000, 0, 0);
+        });
+
+        it('supply cap is set when scheduling a token sale', async function () {
+            await token.tokenSaleSchedule(latestTime(), latestTime() + duration.days(1), 2000, { from: owner });
+            await checkTokenSaleSummary(1, 2000, 0, 0);
+        });
+    });
+
+    describe('first token sale', function () {
+        before(async function () {
+            token = await Token.new(assigner, locker, pauser, { from: owner });
+            await token.tokenSaleStart(1000, { from: owner });
+        });
+
+        it('minting and assigning is accounted for in the token sale', async function () {
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.mint(participants[0], 100, { from: assigner });
+            await token.assign(participants[1], 300, { from: assigner });
+            await checkTokenSaleSummary(1, 1000, 500, 2);
+        });
+
+        it('assigning a lower balance decreases the token sale supply', async function () {
+            await token.assign(participants[1], 100, { from: assigner });
+            await checkTokenSaleSummary(1, 1000, 300, 2);
+        });
+
+        it('token sale supply can be equal to the supply cap', async function () {
+            await token.mint(participants[2], 600, { from: assigner });
+            await token.assign(participants[3], 100, { from: assigner });
+            await checkTokenSaleSummary(1, 1000, 1000, 4);
+        });
+
+        it('token sale supply cannot be greater than the supply cap', async function () {
+            await assertRevert(token.mint(participants[4], 1, { from: assigner }));
+            await assertRevert(token.assign(participants[3], 101, { from: assigner }));
+            await assertRevert(token.mintInBatches([participants[4]], [1], { from: assigner }));
+            await checkTokenSaleSummary(1, 1000, 1000, 4);
+            '1000'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+
+        it('assigning a zero balance keeps the address as participant', async function () {
+            await token.assign(participants[3], 0, { from: assigner });
+            await checkTokenSaleSummary(1, 1000, 900, 4);
+        });
+
+        after(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+    });
+
+    describe('second token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+        });
+
+        it('token sales are accounted for separately', async function () {
+            await token.mint(participants2[0], 5000, { from: assigner });
+            await token.mintInBatches([participants2[1], participants2[2]], [1, 2], { from: assigner });
+            await checkTokenSaleSummary(1, 1000, 900, 4);
+            await checkTokenSaleSummary(2, 0, 5003, 3);
+        });
+
+        it('transfers do not change the token sale figures', async function () {
+            await token.transfer(someoneElse, 100, { from: participants[0] });
+            await checkTokenSaleSummary(1, 1000, 900, 4);
+        });
+    });
+});
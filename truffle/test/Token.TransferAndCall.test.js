@@ -0,0 +1,150 @@
+/// @title  Token.TransferAndCall.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract transferAndCall and approveAndCall unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const VestingTrustee = artifacts.require('../contracts/VestingTrustee.sol');
+
+contract('Token transferAndCall and approveAndCall tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const vester = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+
+    let token;
+    let trustee;
+    let start;
+
+    // ABI-encodes the grant parameters expected by the VestingTrustee token hooks.
+    function grantData(to, start, cliff, end, installmentLength, revocable) {
+        return '0x' + [to, start, cliff, end, installmentLength, revocable ? 1 : 0]
+            .map(value => web3.padLeft(web3.toBigNumber(value).toString(16), 64)).join('');
+    }
+
+    async function checkGrant(holder, value) {
+        const grant = await trustee.grants(holder, { from: someoneElse });
+        grant[0].should.be.bignumber.equal(value);
+        grant[1].should.be.bignumber.equal(start);
+        grant[2].should.be.bignumber.equal(start + duration.days(30));
+        grant[3].should.be.bignumber.equal(start + duration.days(360));
+        grant[4].should.be.bignumber.equal(duration.days(30));
+        assert.equal(grant[6], true);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mint(vester, 1000, { from: assigner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+        await token.lockAddress(participants[0], { from: locker });
+        await token.tokenSaleEnd({ from: owner });
+
+        trustee = await VestingTrustee.new(token.address, vester, { from: owner });
+        start = latestTime();
+    });
+
+    describe('transferAndCall', function () {
+        it('cannot transfer tokens to an address which is not a contract', async function () {
+            await assertRevert(token.transferAndCall(someoneElse, 100, '', { from: vester }));
+        });
+
+        it('cannot transfer tokens to a contract which does not implement the receiver interface', async function () {
+            await assertRevert(token.transferAndCall(token.address, 100, '', { from: vester }));
+        });
+
+        it('the vester can fund and create a grant in one single transaction', async function () {
+            const data = grantData(participants[1], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await token.transferAndCall(trustee.address, 100, data, { from: vester });
+
+            '900'.should.be.bignumber.equal(await token.balanceOf(vester, { from: someoneElse }));
+            '100'.should.be.bignumber.equal(await token.balanceOf(trustee.address, { from: someoneElse }));
+            '100'.should.be.bignumber.equal(await trustee.totalVesting({ from: someoneElse }));
+            await checkGrant(participants[1], 100);
+        });
+
+        it('the transfer is reverted if the grant cannot be created', async function () {
+            const data = grantData(participants[1], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await assertRevert(token.transferAndCall(trustee.address, 100, data, { from: vester }));
+            const badData = grantData(participants[2], start, start + duration.days(360), start + duration.days(30),
+                duration.days(30), true);
+            await assertRevert(token.transferAndCall(trustee.address, 100, badData, { from: vester }));
+            await assertRevert(token.transferAndCall(trustee.address, 100, badData.slice(0, -64), { from: vester }));
+            '900'.should.be.bignumber.equal(await token.balanceOf(vester, { from: someoneElse }));
+        });
+
+        it('anyone can fund the trustee without creating a grant', async function () {
+            await token.transferAndCall(trustee.address, 50, '', { from: participants[2] });
+            '150'.should.be.bignumber.equal(await token.balanceOf(trustee.address, { from: someoneElse }));
+            '100'.should.be.bignumber.equal(await trustee.totalVesting({ from: someoneElse }));
+        });
+
+        it('accounts different from vester cannot create a grant', async function () {
+            const data = grantData(participants[2], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await assertRevert(token.transferAndCall(trustee.address, 50, data, { from: participants[2] }));
+        });
+
+        it('the hook can only be called by the token', async function () {
+            await assertRevert(trustee.onTokenTransfer(vester, 50, '', { from: vester }));
+        });
+
+        it('locked addresses cannot transfer tokens', async function () {
+            await assertRevert(token.transferAndCall(trustee.address, 50, '', { from: participants[0] }));
+        });
+    });
+
+    describe('approveAndCall', function () {
+        it('cannot approve an address which is not a contract', async function () {
+            await assertRevert(token.approveAndCall(someoneElse, 100, '', { from: vester }));
+        });
+
+        it('the vester can approve and create a grant in one single transaction', async function () {
+            const data = grantData(participants[3], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await token.approveAndCall(trustee.address, 200, data, { from: vester });
+
+            '700'.should.be.bignumber.equal(await token.balanceOf(vester, { from: someoneElse }));
+            '350'.should.be.bignumber.equal(await token.balanceOf(trustee.address, { from: someoneElse }));
+            '300'.should.be.bignumber.equal(await trustee.totalVesting({ from: someoneElse }));
+            '0'.should.be.bignumber.equal(await token.allowance(vester, trustee.address, { from: someoneElse }));
+            await checkGrant(participants[3], 200);
+        });
+
+        it('accounts different from vester cannot create a grant', async function () {
+            const data = grantData(participants[4], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await assertRevert(token.approveAndCall(trustee.address, 50, data, { from: participants[4] }));
+        });
+
+        it('the hook can only be called by the token', async function () {
+            await token.approve(trustee.address, 50, { from: vester });
+            await assertRevert(trustee.receiveApproval(vester, 50, token.address, '', { from: vester }));
+        });
+
+        it('cannot approve while the token is paused', async function () {
+            const data = grantData(participants[4], start, start + duration.days(30), start + duration.days(360),
+                duration.days(30), true);
+            await token.pause({ from: pauser });
+            await assertRevert(token.approveAndCall(trustee.address, 50, data, { from: vester }));
+            await token.unpause({ from: pauser });
+            await token.approveAndCall(trustee.address, 50, data, { from: vester });
+            await checkGrant(participants[4], 50);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/// @title  Token.TransferInBatches.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract batch transfers unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token batch transfers tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const treasury = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25);  // participants in the second token sale
+    const amounts = participants.map((participant, i) => i + 1);
+
+    let token;
+
+    async function checkBalances(addresses, expectedBalances) {
+        for (let i = 0; i < addresses.length; i++) {
+            expectedBalances[i].should.be.bignumber.equal(await token.balanceOf(addresses[i], { from: someoneElse }));
+        }
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mint(treasury, 1000, { from: assigner });
+        await token.mint(participants[0], 100, { from: assigner });
+        await token.lockAddress(participants[0], { from: locker });
+        await token.tokenSaleEnd({ from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mint(participants2[0], 100, { from: assigner });
+    });
+
+    it('cannot transfer a batch of length 0', async function () {
+        await assertRevert(token.transferInBatches([], [], { from: treasury }));
+    });
+
+    it('cannot transfer a batch if number of addresses is not equal to number of amounts', async function () {
+        await assertRevert(token.transferInBatches(participants, amounts.slice(1), { from: treasury }));
+    });
+
+    it('cannot transfer batches larger than the maximum allowed', async function () {
+        const maxBatchSize = (await token.MAX_BATCH_SIZE.call({ from: someoneElse })).toNumber();
+        const largeBatch = Array(maxBatchSize + 1).fill(participants[1]);
+        await assertRevert(token.transferInBatches(largeBatch, largeBatch.map(() => 1), { from: treasury }));
+    });
+
+    it('the whole batch is reverted if any transfer fails', async function () {
+        await assertRevert(token.transferInBatches(participants.concat(participants2[0]), amounts.concat(1),
+            { from: treasury }));
+        await assertRevert(token.transferInBatches(participants.concat(participants[1]), amounts.concat(1000),
+            { from: treasury }));
+        await checkBalances([treasury, participants[1]], [1000, 0]);
+    });
+
+    it('locked addresses cannot transfer in batches', async function () {
+        await assertRevert(token.transferInBatches([participants[1]], [1], { from: participants[0] }));
+    });
+
+    it('current token sale\'s addresses cannot transfer in batches', async function () {
+        await assertRevert(token.transferInBatches([participants[1]], [1], { from: participants2[0] }));
+    });
+
+    it('cannot transfer in batches while the token is paused', async function () {
+        await token.pause({ from: pauser });
+        await assertRevert(token.transferInBatches(participants, amounts, { from: treasury }));
+        await token.unpause({ from: pauser });
+    });
+
+    it('transfer some tokens in batches', async function () {
+        const transfer = await token.transferInBatches(participants, amounts, { from: treasury });
+        assert.equal(transfer.logs.length, participants.length);
+        for (let i = 0; i < participants.length; i++) {
+            assert.equal(transfer.logs[i].event, 'Transfer');
+            assert.equal(transfer.logs[i].args.from.valueOf(), treasury);
+            assert.equal(transfer.logs[i].args.to.valueOf(), participants[i]);
+            transfer.logs[i].args.value.should.be.bignumber.equal(amounts[i]);
+        }
+        await checkBalances([treasury, participants[0], participants[1], participants[9]], [945, 101, 2, 10]);
+    });
+});
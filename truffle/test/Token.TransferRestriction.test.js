@@ -0,0 +1,146 @@
+/// @title  Token.TransferRestriction.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract ERC-1404 transfer restrictions unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token transfer restriction tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25); // participants in the second token sale
+
+    const SUCCESS_CODE = 0;
+    const TOKEN_PAUSED_CODE = 1;
+    const SENDER_LOCKED_CODE = 2;
+    const SPENDER_LOCKED_CODE = 3;
+    const SENDER_IN_TOKEN_SALE_CODE = 4;
+    const SPENDER_IN_TOKEN_SALE_CODE = 5;
+    const RECIPIENT_IN_TOKEN_SALE_CODE = 6;
+
+    let token;
+
+    async function checkRestriction(from, to, expectedCode) {
+        const code = await token.detectTransferRestriction(from, to, 1, { from: someoneElse });
+        code.should.be.bignumber.equal(expectedCode);
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+    });
+
+    describe('restriction codes and messages', function () {
+        it('check value of restriction code constants in smart contract', async function () {
+            SUCCESS_CODE.should.be.bignumber.equal(await token.SUCCESS_CODE.call());
+            TOKEN_PAUSED_CODE.should.be.bignumber.equal(await token.TOKEN_PAUSED_CODE.call());
+            SENDER_LOCKED_CODE.should.be.bignumber.equal(await token.SENDER_LOCKED_CODE.call());
+            SPENDER_LOCKED_CODE.should.be.bignumber.equal(await token.SPENDER_LOCKED_CODE.call());
+            SENDER_IN_TOKEN_SALE_CODE.should.be.bignumber.equal(await token.SENDER_IN_TOKEN_SALE_CODE.call());
+            SPENDER_IN_TOKEN_SALE_CODE.should.be.bignumber.equal(await token.SPENDER_IN_TOKEN_SALE_CODE.call());
+            RECIPIENT_IN_TOKEN_SALE_CODE.should.be.bignumber.equal(await token.RECIPIENT_IN_TOKEN_SALE_CODE.call());
+        });
+
+        it('every restriction code has a message', async function () {
+            assert.equal(await token.messageForTransferRestriction(SUCCESS_CODE), 'No restriction');
+            assert.equal(await token.messageForTransferRestriction(TOKEN_PAUSED_CODE), 'Token transfers are paused');
+            assert.equal(await token.messageForTransferRestriction(SENDER_LOCKED_CODE), 'Sender locked for KYC/AML compliance');
+            assert.equal(await token.messageForTransferRestriction(SPENDER_LOCKED_CODE), 'Spender locked for KYC/AML compliance');
+            assert.equal(await token.messageForTransferRestriction(SENDER_IN_TOKEN_SALE_CODE), 'Sender participating in ongoing token sale');
+            assert.equal(await token.messageForTransferRestriction(SPENDER_IN_TOKEN_SALE_CODE), 'Spender participating in ongoing token sale');
+            assert.equal(await token.messageForTransferRestriction(RECIPIENT_IN_TOKEN_SALE_CODE), 'Recipient participating in ongoing token sale');
+        });
+
+        it('unknown restriction codes have a generic message', async function () {
+            assert.equal(await token.messageForTransferRestriction(255), 'Unknown restriction code');
+        });
+    });
+
+    describe('during the first token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+            await token.lockAddress(participants[9], { from: locker });
+        });
+
+        it('current token sale participants cannot send tokens', async function () {
+            await checkRestriction(participants[0], someoneElse, SENDER_IN_TOKEN_SALE_CODE);
+        });
+
+        it('locked addresses are reported before token sale participation', async function () {
+            await checkRestriction(participants[9], someoneElse, SENDER_LOCKED_CODE);
+        });
+
+        it('current token sale participants cannot receive tokens', async function () {
+            await checkRestriction(someoneElse, participants[0], RECIPIENT_IN_TOKEN_SALE_CODE);
+        });
+
+        it('addresses not participating in the token sale are not restricted', async function () {
+            await checkRestriction(someoneElse, owner, SUCCESS_CODE);
+        });
+
+        after(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+    });
+
+    describe('after the first token sale', function () {
+        it('participants are not restricted', async function () {
+            await checkRestriction(participants[0], participants[1], SUCCESS_CODE);
+            await token.transfer(participants[1], 1, { from: participants[0] });
+        });
+
+        it('locked addresses cannot send tokens', async function () {
+            await checkRestriction(participants[9], someoneElse, SENDER_LOCKED_CODE);
+            await assertRevert(token.transfer(someoneElse, 1, { from: participants[9] }));
+        });
+
+        it('locked addresses can receive tokens', async function () {
+            await checkRestriction(participants[0], participants[9], SUCCESS_CODE);
+        });
+
+        it('locked spenders cannot send tokens of others', async function () {
+            await token.approve(participants[9], 1, { from: participants[0] });
+            await assertRevert(token.transferFrom(participants[0], someoneElse, 1, { from: participants[9] }));
+        });
+
+        it('no address can send tokens while paused', async function () {
+            await token.pause({ from: pauser });
+            await checkRestriction(participants[0], participants[1], TOKEN_PAUSED_CODE);
+            await assertRevert(token.transfer(participants[1], 1, { from: participants[0] }));
+            await token.unpause({ from: pauser });
+            await checkRestriction(participants[0], participants[1], SUCCESS_CODE);
+        });
+    });
+
+    describe('during the second token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants2[0], 100, { from: assigner });
+        });
+
+        it('previous token sale participants can send tokens to each other', async function () {
+            await checkRestriction(participants[0], participants[1], SUCCESS_CODE);
+        });
+
+        it('previous token sale participants cannot send tokens to current token sale participants', async function () {
+            await checkRestriction(participants[0], participants2[0], RECIPIENT_IN_TOKEN_SALE_CODE);
+            await assertRevert(token.transfer(participants2[0], 1, { from: participants[0] }));
+        });
+
+        it('current token sale participants cannot send tokens of others', async function () {
+            await token.approve(participants2[0], 1, { from: participants[0] });
+            await assertRevert(token.transferFrom(participants[0], someoneElse, 1, { from: participants2[0] }));
+        });
+    });
+});
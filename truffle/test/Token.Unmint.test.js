@@ -0,0 +1,154 @@
+/// @title  Token.Unmint.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Token smart contract unminting unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+const Token = artifacts.require('../contracts/Token.sol');
+
+contract('Token unmint tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25);  // participants in the second token sale
+
+    let token;
+
+    async function assertedUnmint(from, amount) {
+        const expectedBalance = (await token.balanceOf(from, { from: someoneElse })).minus(amount);
+        const expectedTotalSupply = (await token.totalSupply({ from: someoneElse })).minus(amount);
+        const tokenSaleId = await token.currentTokenSaleId({ from: someoneElse });
+        const expectedTokenSaleSupply = (await token.tokenSaleSupply(tokenSaleId, { from: someoneElse })).minus(amount);
+
+        const unmint = await token.unmint(from, amount, { from: assigner });
+
+        const eventLog1 = await expectEvent.inLogs(unmint.logs, 'Unmint');
+        assert.equal(eventLog1.args.from.valueOf(), from);
+        eventLog1.args.amount.should.be.bignumber.equal(amount);
+        const eventLog2 = await expectEvent.inLogs(unmint.logs, 'Transfer');
+        assert.equal(eventLog2.args.from.valueOf(), from);
+        assert.equal(eventLog2.args.to.valueOf(), 0x0);
+        eventLog2.args.value.should.be.bignumber.equal(amount);
+
+        expectedBalance.should.be.bignumber.equal(await token.balanceOf(from, { from: someoneElse }));
+        expectedTotalSupply.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        expectedTokenSaleSupply.should.be.bignumber.equal(await token.tokenSaleSupply(tokenSaleId, { from: someoneElse }));
+    }
+
+    before(async function () {
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
+        await token.mintInBatches(participants, participants.map(() => 100), { from: assigner });
+    });
+
+    describe('during the first token sale', function () {
+        it('accounts different from assigner cannot unmint tokens', async function () {
+            await assertRevert(token.unmint(participants[0], 10, { from: someoneElse }));
+            await assertRevert(token.unmint(participants[0], 10, { from: participants[0] }));
+        });
+
+        it('cannot unmint more tokens than the address holds', async function () {
+            await assertRevert(token.unmint(participants[0], 101, { from: assigner }));
+        });
+
+        it('cannot unmint tokens from an address which is not participating in the token sale', async function () {
+            await assertRevert(token.unmint(someoneElse, 0, { from: assigner }));
+        });
+
+        it('unmint some tokens', async function () {
+            await assertedUnmint(participants[0], 30);
+        });
+
+        it('locked addresses can have their tokens unminted', async function () {
+            await token.lockAddress(participants[1], { from: locker });
+            await assertedUnmint(participants[1], 100);
+        });
+
+        it('cannot unmint tokens while the token is paused', async function () {
+            await token.pause({ from: pauser });
+            await assertRevert(token.unmint(participants[2], 10, { from: assigner }));
+            await token.unpause({ from: pauser });
+        });
+    });
+
+    describe('after the first token sale', function () {
+        before(async function () {
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('cannot unmint tokens if a token sale is not ongoing', async function () {
+            await assertRevert(token.unmint(participants[2], 10, { from: assigner }));
+        });
+    });
+
+    describe('during the second token sale', function () {
+        before(async function () {
+            await token.tokenSaleStart(500, { from: owner });
+            await token.mint(participants2[0], 400, { from: assigner });
+        });
+
+        it('cannot unmint tokens from participants in previous token sales', async function () {
+            await assertRevert(token.unmint(participants[2], 10, { from: assigner }));
+        });
+
+        it('tokens over-minted in the second token sale can be corrected', async function () {
+            await assertRevert(token.mint(participants2[0], 101, { from: assigner }));
+            await assertedUnmint(participants2[0], 300);
+            await token.mint(participants2[0], 101, { from: assigner });
+            '201'.should.be.bignumber.equal(await token.balanceOf(participants2[0], { from: someoneElse }));
+        });
+
+        it('balances before unminting are kept in snapshots', async function () {
+            const snapshotId = 2;
+            await token.snapshot({ from: owner });
+            await assertedUnmint(participants2[0], 1);
+            '201'.should.be.bignumber.equal(await token.balanceOfAt(participants2[0], snapshotId, { from: someoneElse }));
+            '200'.should.be.bignumber.equal(await token.balanceOf(participants2[0], { from: someoneElse }));
+        });
+
+        describe('unminting in batches', function () {
+            const batch = participants2.slice(1, 4);
+
+            before(async function () {
+                await token.mintInBatches(batch, batch.map(() => 10), { from: assigner });
+            });
+
+            it('cannot unmint a batch of length 0', async function () {
+                await assertRevert(token.unmintInBatches([], [], { from: assigner }));
+            });
+
+            it('cannot unmint a batch if number of addresses is not equal to number of amounts', async function () {
+                await assertRevert(token.unmintInBatches(batch, [1, 2], { from: assigner }));
+            });
+
+            it('only assigner can unmint in batches', async function () {
+                await assertRevert(token.unmintInBatches(batch, [1, 2, 3], { from: someoneElse }));
+            });
+
+            it('cannot unmint batches larger than the maximum allowed', async function () {
+                const maxBatchSize = (await token.MAX_BATCH_SIZE.call({ from: someoneElse })).toNumber();
+                const largeBatch = Array(maxBatchSize + 1).fill(batch[0]);
+                await assertRevert(token.unmintInBatches(largeBatch, largeBatch.map(() => 0), { from: assigner }));
+            });
+
+            it('unmint some tokens in batches', async function () {
+                const totalSupplyBefore = await token.totalSupply({ from: someoneElse });
+                await token.unmintInBatches(batch, [1, 2, 3], { from: assigner });
+                '9'.should.be.bignumber.equal(await token.balanceOf(batch[0], { from: someoneElse }));
+                '8'.should.be.bignumber.equal(await token.balanceOf(batch[1], { from: someoneElse }));
+                '7'.should.be.bignumber.equal(await token.balanceOf(batch[2], { from: someoneElse }));
+                totalSupplyBefore.minus(6).should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+            });
+        });
+    });
+});
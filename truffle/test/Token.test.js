@@ -21,6 +21,7 @@ contract('Token tests', function (accounts) {
     const owner = accounts[1];
     const assigner = accounts[2];
     const locker = accounts[3];
+    const pauser = accounts[25];
     const someoneElse = accounts[4];
     const participants = accounts.slice(5, 15);  // participants in the first token sale
     const participants2 = accounts.slice(15, 25); // participants in the second token sale
@@ -60,6 +61,14 @@ contract('Token tests', function (accounts) {
         assert.equal(currentLocker, newLocker);
     }
 
+    async function checkTransferPauser(transferPauser, pauser, newPauser) {
+        const eventLog = await expectEvent.inLogs(transferPauser.logs, 'PauserTransferred');
+        assert.equal(eventLog.args.previousPauser.valueOf(), pauser);
+        assert.equal(eventLog.args.newPauser.valueOf(), newPauser);
+        const currentPauser = await token.pauser.call();
+        assert.equal(currentPauser, newPauser);
+    }
+
     async function checkTransferOwnership(transferOwnership, owner, newOwner) {
         const eventLog = await expectEvent.inLogs(transferOwnership.logs, 'OwnershipTransferred');
         assert.equal(eventLog.args.previousOwner.valueOf(), owner);
@@ -182,7 +191,7 @@ contract('Token tests', function (accounts) {
 
     describe('constructor', function () {
         before(async function () {
-            token = await Token.new(assigner, locker, { from: owner });
+            token = await Token.new(assigner, locker, pauser, { from: owner });
         });
 
         describe('control accounts', async function () {
@@ -197,6 +206,10 @@ contract('Token tests', function (accounts) {
             it('check the locker', async function () {
                 assert.equal(await token.locker.call({ from: someoneElse }), locker);
             });
+
+            it('check the pauser', async function () {
+                assert.equal(await token.pauser.call({ from: someoneElse }), pauser);
+            });
         });
 
         describe('token supply', async function () {
@@ -222,7 +235,7 @@ contract('Token tests', function (accounts) {
 
     describe('control accounts', function () {
         before(async function () {
-            token = await Token.new(assigner, locker, { from: owner });
+            token = await Token.new(assigner, locker, pauser, { from: owner });
         });
 
         describe('assigner', async function () {
@@ -259,6 +272,23 @@ contract('Token tests', function (accounts) {
             });
         });
 
+        describe('pauser', async function () {
+            let newPauser = participants[4];
+
+            it('pauser cannot be changed by an account different than owner', async function () {
+                await assertRevert(token.transferPauser(newPauser, { from: pauser }));
+            });
+
+            it('new pauser cannot be 0x0', async function () {
+                await assertRevert(token.transferPauser(0x0, { from: owner }));
+            });
+
+            it('owner can change pauser', async function () {
+                const transferPauser = await token.transferPauser(newPauser, { from: owner });
+                await checkTransferPauser(transferPauser, pauser, newPauser);
+            });
+        });
+
         describe('owner', async function () {
             let newOwner = participants[3];
 
@@ -279,12 +309,12 @@ contract('Token tests', function (accounts) {
 
     describe('token sales general workflow', function () {
         before(async function () {
-            token = await Token.new(assigner, locker, { from: owner });
+            token = await Token.new(assigner, locker, pauser, { from: owner });
         });
         console.log(`participants = ${JSON.stringify(participants)}`);
         describe('token sale start', function () {
             it('accounts different from owner cannot start a token sale', async function () {
-                await assertRevert(token.tokenSaleStart({ from: someoneElse }));
+                await assertRevert(token.tokenSaleStart(0, { from: someoneElse }));
             });
 
             it('cannot assign/mint if a token sale has not started yet', async function () {
@@ -294,7 +324,7 @@ contract('Token tests', function (accounts) {
             });
 
             it('token sale start', async function () {
-                await checkTokenSaleStart(await token.tokenSaleStart({ from: owner }), 1);
+                await checkTokenSaleStart(await token.tokenSaleStart(0, { from: owner }), 1);
             });
 
             it('check current token sale id', async function () {
@@ -302,7 +332,7 @@ contract('Token tests', function (accounts) {
             });
 
             it('cannot start a new token sale if the current one has not finished yet', async function () {
-                await assertRevert(token.tokenSaleStart({ from: owner }));
+                await assertRevert(token.tokenSaleStart(0, { from: owner }));
             });
         });
 
@@ -450,8 +480,8 @@ contract('Token tests', function (accounts) {
                     let token2;
 
                     it('lock/unlock a batch', async function () {
-                        token2 = await Token.new(assigner, locker, { from: owner });
-                        await token2.tokenSaleStart({ from: owner });
+                        token2 = await Token.new(assigner, locker, pauser, { from: owner });
+                        await token2.tokenSaleStart(0, { from: owner });
                         for (let i = 0; i < participants.length; i++) {
                             await token2.mint(participants[i], 1, { from: assigner });
                         }
@@ -468,8 +498,8 @@ contract('Token tests', function (accounts) {
 
                     describe('cannot lock', function () {
                         before(async function () {
-                            token2 = await Token.new(assigner, locker, { from: owner });
-                            await token2.tokenSaleStart({ from: owner });
+                            token2 = await Token.new(assigner, locker, pauser, { from: owner });
+                            await token2.tokenSaleStart(0, { from: owner });
                             for (let i = 0; i < participants.length; i++) {
                                 await token2.mint(participants[i], 1, { from: assigner });
                             }
@@ -496,8 +526,8 @@ contract('Token tests', function (accounts) {
 
                     describe('cannot unlock', function () {
                         before(async function () {
-                            token2 = await Token.new(assigner, locker, { from: owner });
-                            await token2.tokenSaleStart({ from: owner });
+                            token2 = await Token.new(assigner, locker, pauser, { from: owner });
+                            await token2.tokenSaleStart(0, { from: owner });
                             for (let i = 0; i < participants.length; i++) {
                                 await token2.mint(participants[i], 1, { from: assigner });
                             }
@@ -630,7 +660,7 @@ contract('Token tests', function (accounts) {
             describe('2nd token sale start', function () {
 
                 it('start token sale', async function () {
-                    await checkTokenSaleStart(await token.tokenSaleStart({ from: owner }), 2);
+                    await checkTokenSaleStart(await token.tokenSaleStart(0, { from: owner }), 2);
                 });
             });
 
@@ -643,8 +673,8 @@ contract('Token tests', function (accounts) {
                     it('can only assign in the 1st token sale', async function () {
                         await assertRevert(token.assign(participants2[0], 1, { from: assigner }));
                     });
-                    it('participant addresses in a previous token sale cannot be minted/assigned tokens in the current sale', async function () {
-                        await assertRevert(token.mint(participants[4], 1, { from: assigner }));
+                    it('participant addresses in a previous token sale can be minted tokens in the current sale', async function () {
+                        await assertedMint(participants[5], 1);
                         await assertRevert(token.assign(participants[5], 1, { from: assigner }));
                     });
                 });
@@ -701,20 +731,20 @@ contract('Token tests', function (accounts) {
                 let currentTokenSaleId = new BigNumber(await token.getCurrentTokenSaleId({ from: someoneElse }));
 
                 while (currentTokenSaleId.lt(maxTokenSales)) {
-                    await token.tokenSaleStart({ from: owner });
+                    await token.tokenSaleStart(0, { from: owner });
                     await token.tokenSaleEnd({ from: owner });
                     currentTokenSaleId = new BigNumber(await token.getCurrentTokenSaleId({ from: someoneElse }));
                 }
 
-                await assertRevert(token.tokenSaleStart({ from: owner }));
+                await assertRevert(token.tokenSaleStart(0, { from: owner }));
             });
         });
 
 
         describe('max token supply limit', function () {
             before(async function () {
-                token = await Token.new(assigner, locker, { from: owner });
-                await token.tokenSaleStart({ from: owner });
+                token = await Token.new(assigner, locker, pauser, { from: owner });
+                await token.tokenSaleStart(0, { from: owner });
             });
 
             it('token supply can be equal to max token supply constant', async function () {
@@ -16,6 +16,7 @@ contract('TokenSaleWorkflow', function (accounts) {
     const owner = accounts[1];
     const assigner = accounts[2];
     const locker = accounts[3];
+    const pauser = accounts[12];
     const vester = accounts[4];
     const rateUpdater = accounts[5];
     const clientWallets = accounts.slice(6, 9);
@@ -29,7 +30,7 @@ contract('TokenSaleWorkflow', function (accounts) {
     let multisig;
 
     before(async function () {
-        token = await Token.new(assigner, locker, { from: owner });
+        token = await Token.new(assigner, locker, pauser, { from: owner });
         vestingTrustee = await VestingTrustee.new(token.address, vester, { from: owner });
         exchangeRate = await ExchangeRate.new(rateUpdater, { from: owner });
         multisig = await MultiSigWalletWithDailyLimit.new(clientWallets, 2, 0, { from: someoneElse });
@@ -37,7 +38,7 @@ contract('TokenSaleWorkflow', function (accounts) {
 
     describe('whole token sale', function () {
         it('vested and unvested token distribution', async function () {
-            await token.tokenSaleStart({ from: owner });
+            await token.tokenSaleStart(0, { from: owner });
 
             // vested tokens
             await token.assign(vestingTrustee.address, 1000, { from: assigner });
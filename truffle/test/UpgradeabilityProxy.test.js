@@ -0,0 +1,269 @@
+/// @title  UpgradeabilityProxy.test.js
+/// @author Jose Perez - <jose.perez@diginex.com>
+/// @notice Upgrades of Token and VestingTrustee deployed behind an UpgradeabilityProxy unit test
+
+'use strict';
+
+const BigNumber = web3.BigNumber;
+require('chai')
+    .use(require('chai-bignumber')(BigNumber))
+    .use(require('chai-as-promised'))
+    .should();
+import assertRevert from './helpers/assertRevert';
+import expectEvent from './helpers/expectEvent';
+import latestTime from './helpers/latestTime';
+import increaseTime from './helpers/increaseTime';
+const duration = increaseTime.duration;
+const Token = artifacts.require('../contracts/Token.sol');
+const VestingTrustee = artifacts.require('../contracts/VestingTrustee.sol');
+const UpgradeabilityProxy = artifacts.require('../contracts/UpgradeabilityProxy.sol');
+const MultiSigWalletWithDailyLimit = artifacts.require('../contracts/MultiSigWalletWithDailyLimit.sol');
+const TokenV2Mock = artifacts.require('../contracts/mocks/TokenV2Mock.sol');
+const VestingTrusteeV2Mock = artifacts.require('../contracts/mocks/VestingTrusteeV2Mock.sol');
+
+contract('UpgradeabilityProxy tests', function (accounts) {
+    const owner = accounts[1];
+    const assigner = accounts[2];
+    const locker = accounts[3];
+    const pauser = accounts[25];
+    const vester = accounts[26];
+    const someoneElse = accounts[4];
+    const participants = accounts.slice(5, 15);  // participants in the first token sale
+    const participants2 = accounts.slice(15, 25); // participants in the second token sale
+    const multisigOwners = participants2.slice(7, 10);
+
+    let tokenProxy;
+    let token;
+    let trusteeProxy;
+    let trustee;
+    let multisig;
+
+    async function checkUpgrade(proxy, implementation, from) {
+        const upgrade = await proxy.upgradeTo(implementation.address, { from: from });
+        const eventLog = await expectEvent.inLogs(upgrade.logs, 'Upgraded');
+        assert.equal(eventLog.args.implementation, implementation.address);
+        assert.equal(await proxy.proxyImplementation({ from: someoneElse }), implementation.address);
+    }
+
+    before(async function () {
+        const implementation = await Token.new(assigner, locker, pauser, { from: owner });
+        const data = implementation.contract.initialize.getData(owner, assigner, locker, pauser);
+        tokenProxy = await UpgradeabilityProxy.new(owner, implementation.address, data, { from: someoneElse });
+        token = Token.at(tokenProxy.address);
+        multisig = await MultiSigWalletWithDailyLimit.new(multisigOwners, 2, 0, { from: someoneElse });
+    });
+
+    describe('deployment', function () {
+        it('cannot be deployed without admin', async function () {
+            const implementation = await tokenProxy.proxyImplementation({ from: someoneElse });
+            const data = Token.at(implementation).contract.initialize.getData(owner, assigner, locker, pauser);
+            await assertRevert(UpgradeabilityProxy.new(0x0, implementation, data, { from: someoneElse }));
+        });
+
+        it('cannot be deployed with an implementation which is not a contract', async function () {
+            const implementation = await tokenProxy.proxyImplementation({ from: someoneElse });
+            const data = Token.at(implementation).contract.initialize.getData(owner, assigner, locker, pauser);
+            await assertRevert(UpgradeabilityProxy.new(owner, someoneElse, data, { from: someoneElse }));
+        });
+
+        it('cannot be deployed without initialization data', async function () {
+            const implementation = await tokenProxy.proxyImplementation({ from: someoneElse });
+            await assertRevert(UpgradeabilityProxy.new(owner, implementation, '', { from: someoneElse }));
+        });
+
+        it('the token is initialized in the proxy storage', async function () {
+            assert.equal(await tokenProxy.proxyAdmin({ from: someoneElse }), owner);
+            assert.equal(await token.initialized({ from: someoneElse }), true);
+            assert.equal(await token.owner({ from: someoneElse }), owner);
+            assert.equal(await token.assigner({ from: someoneElse }), assigner);
+            assert.equal(await token.locker({ from: someoneElse }), locker);
+            assert.equal(await token.pauser({ from: someoneElse }), pauser);
+            assert.equal(await token.controllable({ from: someoneElse }), true);
+            assert.equal(await token.isAssigner(assigner, { from: someoneElse }), true);
+            assert.equal(await token.isLocker(locker, { from: someoneElse }), true);
+        });
+
+        it('the token cannot be initialized again', async function () {
+            await assertRevert(token.initialize(someoneElse, someoneElse, someoneElse, someoneElse, { from: someoneElse }));
+        });
+
+        it('the implementation deployed directly cannot be initialized again', async function () {
+            const implementation = Token.at(await tokenProxy.proxyImplementation({ from: someoneElse }));
+            await assertRevert(implementation.initialize(someoneElse, someoneElse, someoneElse, someoneElse, { from: someoneElse }));
+        });
+
+        it('the vesting trustee is initialized in the proxy storage', async function () {
+            const implementation = await VestingTrustee.new(token.address, vester, { from: owner });
+            const data = implementation.contract.initialize.getData(owner, token.address, vester);
+            trusteeProxy = await UpgradeabilityProxy.new(owner, implementation.address, data, { from: someoneElse });
+            trustee = VestingTrustee.at(trusteeProxy.address);
+
+            assert.equal(await trustee.token({ from: someoneElse }), token.address);
+            assert.equal(await trustee.vester({ from: someoneElse }), vester);
+            assert.equal(await trustee.owner({ from: someoneElse }), owner);
+            await assertRevert(trustee.initialize(someoneElse, token.address, someoneElse, { from: someoneElse }));
+        });
+    });
+
+    describe('using the contracts through the proxy', function () {
+        it('token sales, locks and transfers work through the proxy', async function () {
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mintInBatches(participants, participants.map(() => 1000), { from: assigner });
+            await token.mint(trustee.address, 1000, { from: assigner });
+            await token.lockAddressWithReason(participants[0], 1, 0x0, { from: locker });
+            await token.tokenSaleEnd({ from: owner });
+            await token.transfer(participants[2], 100, { from: participants[1] });
+
+            await token.tokenSaleStart(0, { from: owner });
+            await token.mint(participants2[0], 500, { from: assigner });
+            await token.tokenSaleEnd({ from: owner });
+        });
+
+        it('grants work through the proxy', async function () {
+            const now = latestTime();
+            await trustee.grant(participants[3], 600, now, now + duration.days(30), now + duration.days(360),
+                duration.days(30), true, { from: vester });
+        });
+    });
+
+    describe('upgrading the token', function () {
+        let newImplementation;
+
+        before(async function () {
+            newImplementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+        });
+
+        it('accounts different from admin cannot upgrade the proxy', async function () {
+            await assertRevert(tokenProxy.upgradeTo(newImplementation.address, { from: someoneElse }));
+            await assertRevert(tokenProxy.upgradeTo(newImplementation.address, { from: assigner }));
+        });
+
+        it('cannot upgrade to an implementation which is not a contract', async function () {
+            await assertRevert(tokenProxy.upgradeTo(someoneElse, { from: owner }));
+        });
+
+        it('admin can upgrade the proxy', async function () {
+            await checkUpgrade(tokenProxy, newImplementation, owner);
+            token = TokenV2Mock.at(tokenProxy.address);
+            assert.equal(await token.version({ from: someoneElse }), '2');
+        });
+
+        it('balances, locks and token sales survive the upgrade', async function () {
+            '11500'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+            '1000'.should.be.bignumber.equal(await token.balanceOf(participants[0], { from: someoneElse }));
+            '900'.should.be.bignumber.equal(await token.balanceOf(participants[1], { from: someoneElse }));
+            '1100'.should.be.bignumber.equal(await token.balanceOf(participants[2], { from: someoneElse }));
+            '500'.should.be.bignumber.equal(await token.balanceOf(participants2[0], { from: someoneElse }));
+
+            assert.equal(await token.locked(participants[0], { from: someoneElse }), true);
+            assert.equal(await token.locked(participants[1], { from: someoneElse }), false);
+            const [reason] = await token.getLockReason(participants[0], { from: someoneElse });
+            reason.should.be.bignumber.equal(1);
+
+            '2'.should.be.bignumber.equal(await token.getCurrentTokenSaleId({ from: someoneElse }));
+            '1'.should.be.bignumber.equal(await token.getAddressTokenSaleId(participants[1], { from: someoneElse }));
+            '2'.should.be.bignumber.equal(await token.getAddressTokenSaleId(participants2[0], { from: someoneElse }));
+
+            assert.equal(await token.owner({ from: someoneElse }), owner);
+            assert.equal(await token.assigner({ from: someoneElse }), assigner);
+        });
+
+        it('the upgraded token keeps working', async function () {
+            await assertRevert(token.transfer(participants[1], 1, { from: participants[0] }));
+            await token.transfer(participants[1], 100, { from: participants[2] });
+            '1000'.should.be.bignumber.equal(await token.balanceOf(participants[1], { from: someoneElse }));
+        });
+
+        it('accounts different from admin cannot upgrade and call the new implementation', async function () {
+            const implementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+            const data = implementation.contract.version.getData();
+            await assertRevert(tokenProxy.upgradeToAndCall(implementation.address, data, { from: someoneElse }));
+        });
+
+        it('the upgrade is reverted if the call to the new implementation fails', async function () {
+            const implementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+            const data = implementation.contract.initialize.getData(someoneElse, someoneElse, someoneElse, someoneElse);
+            await assertRevert(tokenProxy.upgradeToAndCall(implementation.address, data, { from: owner }));
+            assert.equal(await tokenProxy.proxyImplementation({ from: someoneElse }), newImplementation.address);
+        });
+
+        it('admin can upgrade and call the new implementation in one transaction', async function () {
+            const implementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+            const data = implementation.contract.version.getData();
+            await tokenProxy.upgradeToAndCall(implementation.address, data, { from: owner });
+            assert.equal(await tokenProxy.proxyImplementation({ from: someoneElse }), implementation.address);
+        });
+    });
+
+    describe('upgrading the vesting trustee', function () {
+        let newImplementation;
+
+        before(async function () {
+            newImplementation = await VestingTrusteeV2Mock.new(token.address, vester, { from: owner });
+        });
+
+        it('accounts different from admin cannot upgrade the proxy', async function () {
+            await assertRevert(trusteeProxy.upgradeTo(newImplementation.address, { from: vester }));
+        });
+
+        it('admin can upgrade the proxy', async function () {
+            await checkUpgrade(trusteeProxy, newImplementation, owner);
+            trustee = VestingTrusteeV2Mock.at(trusteeProxy.address);
+            assert.equal(await trustee.version({ from: someoneElse }), '2');
+        });
+
+        it('grants survive the upgrade', async function () {
+            const [value, start, cliff, end, installmentLength, transferred, revocable] =
+                await trustee.grants(participants[3], { from: someoneElse });
+            value.should.be.bignumber.equal(600);
+            end.sub(start).should.be.bignumber.equal(duration.days(360));
+            cliff.sub(start).should.be.bignumber.equal(duration.days(30));
+            installmentLength.should.be.bignumber.equal(duration.days(30));
+            transferred.should.be.bignumber.equal(0);
+            assert.equal(revocable, true);
+            '600'.should.be.bignumber.equal(await trustee.totalVesting({ from: someoneElse }));
+            assert.equal(await trustee.token({ from: someoneElse }), token.address);
+            assert.equal(await trustee.vester({ from: someoneElse }), vester);
+        });
+
+        it('the upgraded vesting trustee keeps working', async function () {
+            await increaseTime.increaseTime(duration.days(90));
+            await trustee.unlockVestedTokens(participants[3], { from: someoneElse });
+            '1150'.should.be.bignumber.equal(await token.balanceOf(participants[3], { from: someoneElse }));
+        });
+    });
+
+    describe('upgrades gated by a multisig wallet', function () {
+        it('accounts different from admin cannot change the admin', async function () {
+            await assertRevert(tokenProxy.changeProxyAdmin(someoneElse, { from: someoneElse }));
+        });
+
+        it('cannot change the admin to 0x0', async function () {
+            await assertRevert(tokenProxy.changeProxyAdmin(0x0, { from: owner }));
+        });
+
+        it('admin can transfer the right to upgrade to a multisig wallet', async function () {
+            const changeProxyAdmin = await tokenProxy.changeProxyAdmin(multisig.address, { from: owner });
+            const eventLog = await expectEvent.inLogs(changeProxyAdmin.logs, 'ProxyAdminChanged');
+            assert.equal(eventLog.args.previousAdmin, owner);
+            assert.equal(eventLog.args.newAdmin, multisig.address);
+            assert.equal(await tokenProxy.proxyAdmin({ from: someoneElse }), multisig.address);
+        });
+
+        it('the previous admin can no longer upgrade the proxy', async function () {
+            const implementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+            await assertRevert(tokenProxy.upgradeTo(implementation.address, { from: owner }));
+        });
+
+        it('the multisig wallet upgrades the proxy once the transaction is confirmed', async function () {
+            const implementation = await TokenV2Mock.new(assigner, locker, pauser, { from: owner });
+            const upgradeEncoded = tokenProxy.contract.upgradeTo.getData(implementation.address);
+            await multisig.submitTransaction(tokenProxy.address, 0, upgradeEncoded, { from: multisigOwners[0] });
+            assert.notEqual(await tokenProxy.proxyImplementation({ from: someoneElse }), implementation.address);
+
+            await multisig.confirmTransaction(0, { from: multisigOwners[1] });
+            assert.equal(await tokenProxy.proxyImplementation({ from: someoneElse }), implementation.address);
+            '11500'.should.be.bignumber.equal(await token.totalSupply({ from: someoneElse }));
+        });
+    });
+});
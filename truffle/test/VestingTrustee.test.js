@@ -19,6 +19,7 @@ contract('VestingTrustee', (accounts) => {
     const vester = accounts[9];
     const assigner = accounts[8];
     const locker = accounts[7];
+    const pauser = accounts[11];
     const someoneElse = accounts[6];
     const holder = accounts[5];
     const someoneElse2 = accounts[4];
@@ -50,8 +51,8 @@ contract('VestingTrustee', (accounts) => {
     beforeEach(async () => {
         now = web3.eth.getBlock(web3.eth.blockNumber).timestamp;
 
-        token = await Token.new(assigner, locker, { from: owner });
-        await token.tokenSaleStart({ from: owner });
+        token = await Token.new(assigner, locker, pauser, { from: owner });
+        await token.tokenSaleStart(0, { from: owner });
 
         trustee = await VestingTrustee.new(token.address, vester, { from: owner });
     });
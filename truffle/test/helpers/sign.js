@@ -0,0 +1,32 @@
+// Helpers to produce the signatures accepted by the Token signed approvals and transfers.
+// The hashes are computed off-chain, the same way as `permitHash` and `transferWithSignatureHash`.
+
+function selector(signature) {
+    return web3.sha3(signature).slice(2, 10);
+}
+
+function packAddress(address) {
+    return address.slice(2).toLowerCase();
+}
+
+function packUint256(value) {
+    return web3.padLeft(web3.toBigNumber(value).toString(16), 64);
+}
+
+function signedMessage(signer, token, functionSignature, to, value, nonce, deadline) {
+    const message = '0x' + packAddress(token.address) + selector(functionSignature) + packAddress(signer) +
+        packAddress(to) + packUint256(value) + packUint256(nonce) + packUint256(deadline);
+    return web3.eth.sign(signer, web3.sha3(message, { encoding: 'hex' }));
+}
+
+// Returns the signature of `owner` approving `spender` to spend `value` tokens through `permit`.
+exports.signPermit = function (token, owner, spender, value, nonce, deadline) {
+    return signedMessage(owner, token, 'permit(address,address,uint256,uint256,bytes)',
+        spender, value, nonce, deadline);
+};
+
+// Returns the signature of `from` transferring `value` tokens to `to` through `transferWithSignature`.
+exports.signTransfer = function (token, from, to, value, nonce, deadline) {
+    return signedMessage(from, token, 'transferWithSignature(address,address,uint256,uint256,bytes)',
+        to, value, nonce, deadline);
+};